@@ -7,21 +7,777 @@
  * @updateUrl https://example.com/XSOverlayNotifier.plugin.js
  */
 
+/* ================================ Transports ================================ */
+
+// Shared WebSocket lifecycle for overlay transports: connect, jittered reconnect
+// backoff and queue-while-disconnected. Subclasses provide url() and encode(note).
+class WebSocketTransport {
+    constructor(plugin, id, label) {
+        this.plugin = plugin;
+        this.id = id;
+        this.label = label;
+
+        this.ws = null;
+        this.queue = [];
+        this.connected = false;
+        this.connecting = false;
+        this.lastError = "";
+        this._backoff = 1000;
+        this._backoffMax = 15000;
+        this._reconnectTimer = null;
+        this._replayTimer = null;
+        this.stats = { attempts: 0, retries: 0, connectedAt: 0, lastErrorAt: 0 };
+
+        this._onOpen = this._onOpen.bind(this);
+        this._onMessage = this._onMessage.bind(this);
+        this._onClose = this._onClose.bind(this);
+        this._onError = this._onError.bind(this);
+    }
+
+    get settings() { return this.plugin.settings; }
+
+    enabled() { return false; }
+    url() { return ""; }
+    encode(note) { return JSON.stringify(note); }
+
+    // Called after the socket opens, before the queue is flushed
+    onOpened() {
+        this.sendRaw(this.encode(this.plugin._buildNotification("BetterDiscord", "Discord overlay online", 2500, null, "Hello")));
+    }
+
+    // Called after the socket closes or errors, before reconnect is scheduled
+    onClosed() {}
+
+    onData(data) {
+        if (this.settings.logDebug) this._log("WS <-", data);
+    }
+
+    // false holds toasts in the queue even while connected
+    canDeliver() { return true; }
+
+    // info: as for send(); false skips this transport for that toast
+    accepts(info) { return true; }
+
+    status() {
+        if (this.connected) return "Connected";
+        if (this.connecting) return "Connecting";
+        return this.lastError ? `Disconnected (${this.lastError})` : "Disconnected";
+    }
+
+    // Snapshot for the diagnostics panel and report
+    diagnostics() {
+        return {
+            id: this.id,
+            enabled: this.enabled(),
+            status: this.status(),
+            url: this.url(),
+            queued: this.queue.length,
+            attempts: this.stats.attempts,
+            retries: this.stats.retries,
+            backoffMs: this._backoff,
+            lastError: this.lastError,
+            lastErrorAt: this.stats.lastErrorAt,
+            uptimeMs: this.connected && this.stats.connectedAt ? Date.now() - this.stats.connectedAt : 0
+        };
+    }
+
+    connect(force = false) {
+        if ((this.connected || this.connecting) && !force) return;
+        if (force) this.disconnect();
+
+        const url = this.url();
+        this.connecting = true;
+        this.stats.attempts++;
+
+        try {
+            this.ws = new WebSocket(url);
+        } catch (e) {
+            this._log("WS ctor failed", e);
+            this.lastError = e?.message || "invalid URL";
+            this.stats.lastErrorAt = Date.now();
+            this.connecting = false;
+            return this._scheduleReconnect();
+        }
+
+        this.ws.addEventListener("open", this._onOpen);
+        this.ws.addEventListener("message", this._onMessage);
+        this.ws.addEventListener("close", this._onClose);
+        this.ws.addEventListener("error", this._onError);
+        this._log(`Connecting to ${this.label} WS: ${url}`);
+    }
+
+    // keepQueue: shutting down rather than losing the overlay; the queue is persisted instead
+    disconnect(silent = false, keepQueue = false) {
+        if (this._reconnectTimer) {
+            clearTimeout(this._reconnectTimer);
+            this._reconnectTimer = null;
+        }
+        if (this.ws) {
+            try {
+                this.ws.removeEventListener("open", this._onOpen);
+                this.ws.removeEventListener("message", this._onMessage);
+                this.ws.removeEventListener("close", this._onClose);
+                this.ws.removeEventListener("error", this._onError);
+                this.ws.close();
+            } catch {}
+            this.ws = null;
+        }
+        this.connected = false;
+        this.connecting = false;
+        this._stopReplay();
+        this.onClosed();
+        if (this.settings.clearQueueOnDisconnect && !keepQueue) this.clearQueue();
+        if (!silent) this._log(`Disconnected from ${this.label}.`);
+    }
+
+    // info: { rank, messageId, summary }. Returns the delivery outcome: "sent", "queued" or "dropped"
+    send(note, info = {}) {
+        if (this.connected && this.canDeliver()) {
+            this.sendRaw(this.encode(note));
+            return "sent";
+        }
+        if (!this.settings.queueWhileDisconnected) {
+            if (this.settings.logDebug) this._log("Dropping notification (WS disconnected).");
+            return "dropped";
+        }
+        return this.enqueue(note, info);
+    }
+
+    enqueue(note, info = {}) {
+        return this.plugin._enqueueInto(this.queue, note, info) ? "queued" : "dropped";
+    }
+
+    sendRaw(json) {
+        try {
+            if (this.settings.logDebug) this._log("WS ->", json);
+            this.ws?.send(json);
+        } catch (e) {
+            this._log("Send failed", e);
+        }
+    }
+
+    // Replays the queue as one digest toast or one toast per minIntervalMs (replayMode)
+    flushQueue() {
+        this.plugin._pruneQueue(this.queue);
+        if (!this.queue.length || !this.connected || !this.canDeliver() || this._replayTimer) return;
+
+        if (this.settings.replayMode === "digest" && this.queue.length > 1) {
+            const items = this.queue.splice(0);
+            this._log(`Replaying ${items.length} queued notifications as a digest`);
+            this.sendRaw(this.encode(this.plugin._buildDigest(items, "missed")));
+            return this.plugin._saveQueues();
+        }
+
+        this.sendRaw(this.encode(this.queue.shift().note));
+        this.plugin._saveQueues();
+        if (!this.queue.length) return;
+        this._replayTimer = setTimeout(() => {
+            this._replayTimer = null;
+            this.flushQueue();
+        }, Math.max(0, Number(this.settings.minIntervalMs) || 0));
+    }
+
+    clearQueue() {
+        if (this.queue.length && this.settings?.logDebug) this._log(`Clearing ${this.queue.length} queued notifications`);
+        this.queue.length = 0;
+        this.plugin._saveQueues();
+    }
+
+    _stopReplay() {
+        if (this._replayTimer) clearTimeout(this._replayTimer);
+        this._replayTimer = null;
+    }
+
+    _onOpen() {
+        this.connected = true;
+        this.connecting = false;
+        this.lastError = "";
+        this._backoff = 1000;
+        this.stats.connectedAt = Date.now();
+        this._log(`${this.label} connected.`);
+
+        this.onOpened();
+        this.flushQueue();
+    }
+
+    _onMessage(ev) {
+        this.onData(ev?.data);
+    }
+
+    _onClose() {
+        this._log(`${this.label} disconnected.`);
+        this.connected = false;
+        this.connecting = false;
+        this._stopReplay();
+        this.onClosed();
+        if (this.settings.clearQueueOnDisconnect) this.clearQueue();
+        this._scheduleReconnect();
+    }
+
+    _onError(err) {
+        this._log("WS error", err);
+        this.lastError = "socket error";
+        this.stats.lastErrorAt = Date.now();
+        this.disconnect(true);
+        this.connecting = false;
+        if (this.settings.clearQueueOnDisconnect) this.clearQueue();
+        this._scheduleReconnect();
+    }
+
+    _scheduleReconnect() {
+        if (!this.settings.autoConnect || !this.enabled()) return;
+        const jitter = Math.floor(Math.random() * 400);
+        const wait = this._backoff + jitter;
+        this._backoff = Math.min(this._backoff * 2, this._backoffMax);
+        this.stats.retries++;
+        this._log(`Reconnecting in ${Math.floor(wait/1000)}s…`);
+        if (this._reconnectTimer) clearTimeout(this._reconnectTimer);
+        this._reconnectTimer = setTimeout(() => {
+            this._reconnectTimer = null;
+            this.connect();
+        }, wait);
+    }
+
+    _log(head, ...rest) {
+        this.plugin._log(`[${this.label}] ${head}`, ...rest);
+    }
+}
+
+// XSOverlay WebSocket API (default port 42070), one per entry in settings.targets. Besides
+// sending toasts it subscribes to device/runtime events so it can tell when nobody is
+// wearing the headset.
+class XSOverlayTransport extends WebSocketTransport {
+    static EVENTS = ["UpdateDeviceInformation", "UpdateRuntimeInformation", "SendNotification"];
+
+    // target.filter -> priority levels it receives (null = all); toasts without a level always pass,
+    // a digest (summary.kinds) when it holds at least one level the target takes
+    static FILTERS = {
+        all: { label: "Everything", kinds: null },
+        mentions: { label: "DMs, calls and mentions", kinds: ["call", "dm", "mention", "role", "everyone", "keyword"] },
+        dm: { label: "DMs and calls only", kinds: ["call", "dm"] }
+    };
+
+    constructor(plugin, target) {
+        super(plugin, target.id, "XSOverlay");
+        this.setTarget(target);
+        this._pollTimer = null;
+        this.resetHealth();
+    }
+
+    // Targets are replaced wholesale when edited; the socket, queue and backoff stay with the transport
+    setTarget(target) {
+        this.target = target;
+        this.label = target.name ? `XSOverlay · ${target.name}` : "XSOverlay";
+    }
+
+    accepts(info) {
+        const kinds = XSOverlayTransport.FILTERS[this.target.filter]?.kinds;
+        if (!kinds) return true;
+        const held = info?.summary?.kinds;
+        if (Array.isArray(held)) return held.some(k => kinds.includes(k));
+        const kind = info?.summary?.kind;
+        return !kind || kind === "other" || kinds.includes(kind);
+    }
+
+    clientName() {
+        return String(this.target.clientName || "").trim() || this.settings.clientName || "XSOverlayNotifier";
+    }
+
+    resetHealth() {
+        // null = unknown (older XSOverlay builds don't report it)
+        this.health = { hmdActive: null, vrActive: null, lastEventAt: 0, sent: 0, acked: 0, lastAckAt: 0 };
+    }
+
+    idle() {
+        return this.health.hmdActive === false || this.health.vrActive === false;
+    }
+
+    canDeliver() {
+        return !(this.settings.headsetIdleMode === "hold" && this.idle());
+    }
+
+    send(note, info = {}) {
+        if (this.connected && this.idle() && this.settings.headsetIdleMode === "drop") {
+            if (this.settings.logDebug) this._log("Dropping notification (headset idle).");
+            return "dropped";
+        }
+        if (this.connected && !this.canDeliver()) return this.enqueue(note, info);
+        return super.send(note, info);
+    }
+
+    sendRaw(json) {
+        if (json.includes('"command":"SendNotification"')) this.health.sent++;
+        super.sendRaw(json);
+    }
+
+    status() {
+        const base = super.status();
+        if (!this.connected) return base;
+        const h = this.health;
+        const parts = [base];
+        if (h.vrActive === false) parts.push("no VR session");
+        else if (h.hmdActive === false) parts.push("headset idle");
+        else if (h.hmdActive === true) parts.push("headset in use");
+        if (h.acked) parts.push(`${h.acked}/${h.sent} confirmed, last ${Math.round((Date.now() - h.lastAckAt) / 1000)}s ago`);
+        else if (h.sent) parts.push(`${h.sent} sent, none confirmed`);
+        return parts.join(" · ");
+    }
+
+    onOpened() {
+        this.resetHealth();
+        super.onOpened();
+        this.command("SubscribeToApiEvents", XSOverlayTransport.EVENTS);
+        this.requestState();
+        this._pollTimer = setInterval(() => this.requestState(), 30000);
+    }
+
+    onClosed() {
+        if (this._pollTimer) clearInterval(this._pollTimer);
+        this._pollTimer = null;
+    }
+
+    requestState() {
+        this.command("RequestDeviceInformation");
+        this.command("RequestRuntimeInformation");
+    }
+
+    command(command, data = null) {
+        this.sendRaw(JSON.stringify({
+            sender: this.clientName(),
+            target: "xsoverlay",
+            command,
+            jsonData: data == null ? "" : JSON.stringify(data),
+            rawData: null
+        }));
+    }
+
+    onData(data) {
+        super.onData(data);
+        let msg, payload;
+        try {
+            msg = JSON.parse(data);
+            payload = typeof msg?.jsonData === "string" && msg.jsonData ? JSON.parse(msg.jsonData) : msg?.jsonData;
+        } catch {
+            return;
+        }
+        const command = String(msg?.command || "");
+        const wasIdle = this.idle();
+        this.health.lastEventAt = Date.now();
+
+        if (/notification/i.test(command)) {
+            this.health.acked++;
+            this.health.lastAckAt = Date.now();
+        } else if (/device/i.test(command)) {
+            const hmd = XSOverlayTransport.findHmd(payload);
+            if (hmd) this.health.hmdActive = XSOverlayTransport.pick(hmd, ["userPresent", "isUserPresent", "proximity", "isActive", "active", "isConnected", "connected"]);
+        } else if (/runtime|session|steamvr/i.test(command)) {
+            this.health.vrActive = XSOverlayTransport.pick(payload, ["vrActive", "isVRActive", "steamVRRunning", "isSteamVRRunning", "sessionActive", "isRunning"]);
+        }
+
+        if (wasIdle !== this.idle()) {
+            this._log(this.idle() ? "Headset idle" : "Headset active");
+            if (!this.idle()) this.flushQueue();
+        }
+    }
+
+    // Field names differ between XSOverlay versions; use the first boolean present
+    static pick(obj, keys) {
+        for (const key of keys) {
+            if (typeof obj?.[key] === "boolean") return obj[key];
+        }
+        return null;
+    }
+
+    static findHmd(payload) {
+        const list = Array.isArray(payload) ? payload : (payload?.devices || payload?.Devices || (payload ? [payload] : []));
+        return list.find(d => /hmd|head/i.test(String(d?.deviceType ?? d?.type ?? d?.role ?? ""))) || null;
+    }
+
+    enabled() { return this.target.enabled !== false; }
+
+    url() {
+        const host = String(this.target.host || "127.0.0.1").trim();
+        const port = Number(this.target.port) || 42070;
+        return `ws://${host}:${port}/?client=${encodeURIComponent(this.clientName())}`;
+    }
+
+    encode(note) {
+        return JSON.stringify({
+            sender: this.clientName(),
+            target: "xsoverlay",
+            command: "SendNotification",
+            jsonData: JSON.stringify(note),
+            rawData: null
+        });
+    }
+}
+
+// OVR Toolkit WebSocket API (default ws://127.0.0.1:11450/api); icon must be base64
+class OVRToolkitTransport extends WebSocketTransport {
+    constructor(plugin) {
+        super(plugin, "ovrt", "OVR Toolkit");
+    }
+
+    enabled() { return !!this.settings.ovrtEnabled; }
+
+    url() {
+        const host = String(this.settings.ovrtHost || "127.0.0.1").trim();
+        const port = Number(this.settings.ovrtPort) || 11450;
+        return `ws://${host}:${port}/api`;
+    }
+
+    encode(note) {
+        return JSON.stringify({
+            messageType: "SendNotification",
+            json: JSON.stringify({
+                title: note.title,
+                body: note.content,
+                icon: note.useBase64Icon ? note.icon : ""
+            })
+        });
+    }
+}
+
+// Generic HTTP POST. httpTemplate is JSON text where {{title}}, {{content}}, {{icon}},
+// {{timeout}} and {{source}} are replaced by JSON-encoded values. Failed posts are
+// queued (if queueWhileDisconnected) and retried with the same backoff as sockets.
+// send() resolves with the outcome once the POST settles, not when it starts.
+class HttpTransport {
+    static POST_TIMEOUT_MS = 10000;
+
+    constructor(plugin) {
+        this.plugin = plugin;
+        this.id = "http";
+        this.label = "HTTP";
+        this.queue = [];
+        this.connected = false;     // last post succeeded
+        this.connecting = false;    // a post or retry is in flight
+        this.lastError = "";
+        this._backoff = 1000;
+        this._backoffMax = 15000;
+        this._retryTimer = null;
+        this._stopped = false;      // set by disconnect(); ends a replay loop that is mid-await
+        this.stats = { attempts: 0, retries: 0, connectedAt: 0, lastErrorAt: 0 };
+    }
+
+    get settings() { return this.plugin.settings; }
+
+    enabled() { return !!this.settings.httpEnabled && !!String(this.settings.httpUrl || "").trim(); }
+    url() { return String(this.settings.httpUrl || "").trim(); }
+
+    // Not a target: no per-target filter applies, every toast is posted
+    accepts(info) { return true; }
+
+    status() {
+        if (this.lastError) return `Error (${this.lastError})`;
+        if (this.connected) return "OK";
+        return this.connecting ? "Posting" : "Idle";
+    }
+
+    // Same shape as WebSocketTransport#diagnostics; "uptime" is time since the first good post in a row
+    diagnostics() {
+        return {
+            id: this.id,
+            enabled: this.enabled(),
+            status: this.status(),
+            url: this.url(),
+            queued: this.queue.length,
+            attempts: this.stats.attempts,
+            retries: this.stats.retries,
+            backoffMs: this._backoff,
+            lastError: this.lastError,
+            lastErrorAt: this.stats.lastErrorAt,
+            uptimeMs: this.connected && this.stats.connectedAt ? Date.now() - this.stats.connectedAt : 0
+        };
+    }
+
+    connect() {
+        this._stopped = false;
+    }
+
+    disconnect(silent = false, keepQueue = false) {
+        this._stopped = true;
+        if (this._retryTimer) clearTimeout(this._retryTimer);
+        this._retryTimer = null;
+        this.connecting = false;
+        if (this.settings.clearQueueOnDisconnect && !keepQueue) this.clearQueue();
+    }
+
+    encode(note) {
+        const values = {
+            title: note.title,
+            content: note.content,
+            icon: note.useBase64Icon ? note.icon : "",
+            timeout: note.timeout,
+            source: note.sourceApp
+        };
+        const template = String(this.settings.httpTemplate || "").trim() || '{"title": {{title}}, "content": {{content}}}';
+        return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (m, key) => key in values ? JSON.stringify(values[key] ?? "") : m);
+    }
+
+    headers() {
+        const headers = { "Content-Type": "application/json" };
+        try {
+            const extra = JSON.parse(String(this.settings.httpHeaders || "").trim() || "{}");
+            if (extra && typeof extra === "object") Object.assign(headers, extra);
+        } catch (e) {
+            this.plugin._log("[HTTP] Invalid headers JSON", e?.message || e);
+        }
+        return headers;
+    }
+
+    // Resolves "sent" once the endpoint accepted the post, else "queued" or "dropped"
+    send(note, info = {}) {
+        if (this.queue.length || this._retryTimer) return this._enqueue(note, info);
+        return this._post(note).then(() => "sent", () => this._enqueue(note, info, true));
+    }
+
+    flushQueue() {
+        if (this.queue.length && !this._retryTimer && !this._stopped) this._retry();
+    }
+
+    clearQueue() {
+        this.queue.length = 0;
+        this.plugin._saveQueues();
+    }
+
+    async _post(note) {
+        this.connecting = true;
+        this.stats.attempts++;
+        const ctrl = new AbortController();
+        const timer = setTimeout(() => ctrl.abort(), HttpTransport.POST_TIMEOUT_MS);
+        try {
+            const res = await fetch(this.url(), { method: "POST", headers: this.headers(), body: this.encode(note), signal: ctrl.signal });
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            if (!this.connected) this.stats.connectedAt = Date.now();
+            this.connected = true;
+            this.lastError = "";
+            this._backoff = 1000;
+        } catch (e) {
+            this.connected = false;
+            this.lastError = e?.message || String(e);
+            this.stats.lastErrorAt = Date.now();
+            this.plugin._log("[HTTP] Post failed", this.lastError);
+            throw e;
+        } finally {
+            clearTimeout(timer);
+            this.connecting = false;
+        }
+    }
+
+    _enqueue(note, info, failed = false) {
+        if (!this.settings.queueWhileDisconnected) return "dropped";
+        if (!this.plugin._enqueueInto(this.queue, note, info)) return "dropped";
+        if (failed || !this._retryTimer) this._scheduleRetry();
+        return "queued";
+    }
+
+    _scheduleRetry() {
+        if (this._retryTimer || this._stopped) return;
+        const wait = this._backoff + Math.floor(Math.random() * 400);
+        this._backoff = Math.min(this._backoff * 2, this._backoffMax);
+        this.stats.retries++;
+        this._retryTimer = setTimeout(() => this._retry(), wait);
+    }
+
+    // Same replay policy as the sockets: one digest post, or one post per minIntervalMs
+    async _retry() {
+        this._retryTimer = null;
+        this.plugin._pruneQueue(this.queue);
+        if (this.settings.replayMode === "digest" && this.queue.length > 1) {
+            const items = this.queue.splice(0);
+            try {
+                await this._post(this.plugin._buildDigest(items, "missed"));
+                this.plugin._saveQueues();
+            } catch {
+                this.queue.unshift(...items);
+                this._scheduleRetry();
+            }
+            return;
+        }
+        while (this.queue.length && this.enabled() && !this._stopped) {
+            try {
+                await this._post(this.queue[0].note);
+                this.queue.shift();
+                this.plugin._saveQueues();
+            } catch {
+                return this._scheduleRetry();
+            }
+            await new Promise(resolve => setTimeout(resolve, Math.max(0, Number(this.settings.minIntervalMs) || 0)));
+        }
+    }
+}
+
 module.exports = class XSOverlayNotifier {
+    // BetterDiscord loads this one file; the transport classes are exposed here for the tests
+    static Transports = { WebSocketTransport, XSOverlayTransport, OVRToolkitTransport, HttpTransport };
+
+    static RULE_ACTIONS = [["allow", "Allow"], ["deny", "Deny"], ["override", "Override"]];
+    static RULE_CHANNEL_TYPES = [["any", "Any channel"], ["dm", "DM"], ["group", "Group DM"], ["guild", "Guild"]];
+    static RULE_MENTION_KINDS = [
+        ["any", "Any message"], ["mention", "Any mention"], ["user", "@you"], ["role", "@role I have"],
+        ["everyone", "@everyone/@here"], ["keyword", "Keyword match"], ["none", "No mention"]
+    ];
+
+    static newRule() {
+        return {
+            enabled: true, name: "", action: "allow",
+            guildId: "", channelId: "", authorId: "", channelType: "any", mentionKind: "any",
+            timeoutMs: "", volume: "", opacity: "", sound: "", privacy: "", tts: ""
+        };
+    }
+
+    // Least to most private; streamer mode and rules can only make a toast more private than this order allows
+    static PRIVACY_LEVELS = [["off", "Off"], ["sender", "Sender only"], ["server", "Sender and server"], ["anonymous", "Anonymous"]];
+    static PRIVACY_BODY = "Message hidden (privacy mode)";
+
+    static REDACT_PRESETS = [
+        "[\\w.+-]+@[\\w-]+\\.[\\w.-]+",              // email
+        "\\+?\\d[\\d\\s().-]{7,}\\d",                 // phone number
+        "[\\w-]{24,}\\.[\\w-]{6}\\.[\\w-]{27,}",      // Discord token
+        "\\b[A-Za-z0-9_-]{32,}\\b"                   // long keys/hashes
+    ];
+
+    // {name|filter|filter:arg}; prefix/suffix only apply to non-empty values, so optional
+    // parts like "{trigger|prefix: · }" vanish along with their separators
+    static TEMPLATE_FILTERS = {
+        upper: v => v.toUpperCase(),
+        lower: v => v.toLowerCase(),
+        trim: v => v.trim(),
+        truncate: (v, n) => {
+            const max = parseInt(n, 10);
+            const chars = [...v];
+            return max > 0 && chars.length > max ? chars.slice(0, Math.max(1, max - 1)).join("") + "…" : v;
+        },
+        default: (v, fallback = "") => v || fallback,
+        prefix: (v, text = "") => v ? text + v : v,
+        suffix: (v, text = "") => v ? v + text : v
+    };
+
+    static TEMPLATE_PLACEHOLDERS = ["author", "nick", "guild", "channel", "context", "content", "attachments", "time", "trigger", "edited"];
+
+    // Same layout as with templates off (includeChannelName on)
+    static newTemplate() {
+        return { title: "{nick|default:Discord}{trigger|prefix: · }{edited|prefix: }", body: "{context|suffix: — }{content}" };
+    }
+
+    static TEMPLATE_SAMPLES = {
+        dm: { author: "alice", nick: "Alice", guild: "", channel: "", context: "Direct Message", content: "are you still in VR? dinner's ready", attachments: "", trigger: "", edited: "" },
+        group: { author: "bob", nick: "Bob", guild: "", channel: "Squad", context: "Group DM · #Squad", content: "who's up for a match tonight?", attachments: "1 attachment", trigger: "", edited: "" },
+        guild: { author: "carol", nick: "Carol (mod)", guild: "My Server", channel: "announcements", context: "My Server · #announcements", content: "Heads up: the server restarts at 21:00 for the update, finish your runs before then.", attachments: "", trigger: "@Ops", edited: "(edited)" }
+    };
+
+    // Unknown placeholders and filters are left as typed so mistakes show up in the preview
+    static renderTemplate(template, vars) {
+        return String(template || "").replace(/\{(\w+)((?:\|[^|{}]*)*)\}/g, (whole, name, chain) => {
+            if (!(name in vars)) return whole;
+            let value = String(vars[name] ?? "");
+            for (const part of chain.split("|").slice(1)) {
+                const colon = part.indexOf(":");
+                const filter = XSOverlayNotifier.TEMPLATE_FILTERS[(colon < 0 ? part : part.slice(0, colon)).trim()];
+                if (!filter) return whole;
+                value = filter(value, colon < 0 ? undefined : part.slice(colon + 1));
+            }
+            return value;
+        });
+    }
+
+    // Highest first; a higher level jumps ahead of anything waiting to be sent
+    static PRIORITY_LEVELS = [
+        ["call", "Incoming call"], ["dm", "Direct message"], ["mention", "Direct @mention"], ["role", "Role mention"],
+        ["keyword", "Keyword"], ["friend", "Friend request"], ["everyone", "@everyone/@here"], ["reaction", "Reaction to me"],
+        ["thread", "New thread"], ["voice", "Voice join/leave"], ["guild", "Guild message"]
+    ];
+
+    static newPriority() {
+        return { timeoutMs: "", volume: "", opacity: "", sound: "", icon: "" };
+    }
+
+    static newSchedule() {
+        return { enabled: true, name: "", days: [1, 2, 3, 4, 5], start: "22:00", end: "07:00", action: "suppress", always: false };
+    }
+
+    static newTarget() {
+        return { id: "", name: "", host: "127.0.0.1", port: 42070, clientName: "", enabled: true, filter: "all" };
+    }
+
+    static newKeyword() {
+        return { enabled: true, pattern: "", regex: false, caseSensitive: false, wholeWord: true };
+    }
+
+    // Bump SETTINGS_VERSION and append a step when a release renames or reshapes keys;
+    // SETTINGS_MIGRATIONS[n] upgrades data saved at version n to n + 1.
+    static SETTINGS_VERSION = 2;
+    static SETTINGS_MIGRATIONS = [
+        // 0 -> 1: unversioned data (2.8.0 and earlier); defaults fill in anything missing
+        s => s,
+        // 1 -> 2: the single host/port/xsoverlayEnabled became the first of several targets
+        ({ host, port, xsoverlayEnabled, ...s }) => {
+            if (!Array.isArray(s.targets)) {
+                const target = { ...XSOverlayNotifier.newTarget(), id: "xsoverlay", enabled: xsoverlayEnabled !== false };
+                if (typeof host === "string" && host.trim()) target.host = host.trim();
+                if (port != null) target.port = port;
+                s.targets = [target];
+            }
+            return s;
+        }
+    ];
+
+    // [min, max, integer]; values outside are clamped
+    static SETTINGS_LIMITS = {
+        port: [1, 65535, true], ovrtPort: [1, 65535, true],
+        timeoutMs: [500, 60000, true], minIntervalMs: [0, 60000, true],
+        volume: [0, 1], opacity: [0, 1],
+        height: [40, 2000, true], minHeight: [40, 2000, true], maxHeight: [40, 2000, true],
+        lineHeight: [8, 100, true], wrapChars: [10, 200, true], basePadding: [0, 1000, true],
+        avatarFetchTimeoutMs: [0, 30000, true], avatarCacheMaxBytes: [0, 100000000, true],
+        imagePreviewSize: [16, 4096, true], imagePreviewMaxBytes: [1024, 20000000, true],
+        maxQueue: [1, 10000, true], queueTtlMinutes: [0, 10080, true],
+        deleteWindowMs: [0, 3600000, true],
+        coalesceWindowMs: [0, 60000, true], coalesceMaxLines: [1, 50, true],
+        historySize: [10, 5000, true],
+        snoozeUntil: [0, Number.MAX_SAFE_INTEGER, true],
+        actionPort: [1024, 65535, true],
+        ttsRate: [0.5, 3], ttsMaxChars: [20, 500, true], ttsPerMinute: [1, 60, true]
+    };
+    static SETTINGS_CHOICES = {
+        headsetIdleMode: ["off", "hold", "drop"],
+        replayMode: ["paced", "digest"],
+        coalesceBy: ["author", "channel"],
+        quietSuppressedTo: ["digest", "history", "drop"],
+        privacyMode: ["off", "sender", "server", "anonymous"],
+        privacyStreamerLevel: ["off", "sender", "server", "anonymous"]
+    };
+    // Machine-local state, kept out of profiles and exports
+    static SETTINGS_LOCAL = ["snoozeUntil", "activeProfile", "actionToken"];
+
     constructor() {
         this.meta = { name: "XSOverlayNotifier", version: "2.8.0" };
 
         this.defaultSettings = {
-            host: "127.0.0.1",
-            port: 42070,
+            // XSOverlay instances to send to: [{id, name, host, port, clientName ("" = the one below), enabled, filter}]
+            targets: [{ ...XSOverlayNotifier.newTarget(), id: "xsoverlay" }],
             autoConnect: true,
 
+            // extra outputs; every enabled transport receives each toast
+            ovrtEnabled: false,
+            ovrtHost: "127.0.0.1",
+            ovrtPort: 11450,
+            httpEnabled: false,
+            httpUrl: "",
+            httpTemplate: '{"title": {{title}}, "content": {{content}}}',
+            httpHeaders: "",            // JSON object, e.g. {"Authorization": "Bearer ..."}
+
             // filters
             notifyDMs: true,
             notifyMentions: true,
             notifyGuildMessages: false,
             includeChannelName: true,
 
+            // title/body templates per channel kind; off = the built-in layout above
+            templatesEnabled: false,
+            templates: { dm: XSOverlayNotifier.newTemplate(), group: XSOverlayNotifier.newTemplate(), guild: XSOverlayNotifier.newTemplate() },
+
             // timings
             timeoutMs: 5000,        // converted to seconds for WS API
             minIntervalMs: 800,
@@ -48,40 +804,168 @@ module.exports = class XSOverlayNotifier {
             avatarIcon: true,           // use author's avatar as icon
             fallbackIcon: "",           // "", "default"/"error"/"warning", file path, or base64
             useBase64Icon: true,        // keep true for avatar data
+            headsetIdleMode: "hold",    // when XSOverlay reports the headset idle: "off", "hold" (queue) or "drop"
+            avatarFetchTimeoutMs: 1500, // send with fallbackIcon if the avatar isn't ready by then
+            avatarCacheMaxBytes: 4000000,   // LRU budget (base64 chars)
+            avatarCacheDisk: false,     // also persist the avatar cache between restarts
+
+            // image previews: first image attachment / embed thumbnail / sticker replaces the avatar
+            imagePreview: false,
+            imagePreviewSize: 256,              // longest side in px (scaled by Discord's media proxy)
+            imagePreviewMaxBytes: 1500000,
+            imagePreviewTypes: "image/png,image/jpeg,image/gif,image/webp",
+            imagePreviewNsfw: false,            // allow previews from NSFW channels
+            imagePreviewSpoilers: false,        // allow previews of spoilered media
 
             // NEW (2.8.0): queuing policy
             queueWhileDisconnected: false,  // drop notifications if WS is down
-            clearQueueOnDisconnect: true    // wipe any queued items on disconnect/error
+            clearQueueOnDisconnect: true,   // wipe any queued items on disconnect/error
+            maxQueue: 200,                  // per transport; lowest priority is evicted first
+            queueTtlMinutes: 60,            // queued items older than this are discarded (0 = keep)
+            queuePersist: true,             // keep the queue across Discord restarts
+            replayMode: "paced",            // on reconnect: "paced" (one per minIntervalMs) or "digest"
+
+            // ordered notification rules; first match wins, no match falls back to the toggles above
+            rules: [],
+
+            // honor Discord's own mutes, suppress flags, blocks and Do Not Disturb
+            respectDiscordSettings: false,
+
+            // other Discord events
+            notifyCalls: false,         // incoming call ring start/stop
+            notifyFriendRequests: false,
+            notifyReactions: false,     // reactions to my messages
+            notifyThreads: false,       // new threads...
+            threadParentIds: "",        // ...under these channel IDs (comma-separated; blank = any)
+            notifyVoice: false,         // joins/leaves in my current voice channel
+
+            // edits and deletes of messages seen this session
+            notifyEdits: true,          // "(edited)" toast when an edit newly @mentions me
+            pullDeleted: true,          // drop toasts for deleted messages that haven't been shown yet
+            notifyDeletes: false,       // "message deleted" follow-up for toasts already shown...
+            deleteWindowMs: 60000,      // ...if deleted within this long
+
+            // per-priority presentation; blank fields inherit the global settings
+            priorities: Object.fromEntries(XSOverlayNotifier.PRIORITY_LEVELS.map(([level]) => [level, XSOverlayNotifier.newPriority()])),
+
+            // quiet hours / focus schedules
+            schedules: [],              // [{enabled, name, days (0 = Sun), start, end, action: "suppress"|"downgrade", always}]
+            quietVipIds: "",            // DMs/calls from these user IDs always get through (comma-separated)
+            quietKeywords: "",          // messages containing any of these always get through (comma-separated)
+            quietSuppressedTo: "digest",    // suppressed toasts go to "digest" (+ history), "history" or "drop"
+            snoozeUntil: 0,
+
+            // privacy: hide content (and possibly who/where) from overlay captures; rules may set their own level
+            privacyMode: "off",         // "off", "sender", "server" (sender + server) or "anonymous"
+            privacyOnStreamerMode: true,    // raise to privacyStreamerLevel while Discord's Streamer Mode is on
+            privacyStreamerLevel: "sender",
+            redactPatterns: "",         // one regex per line, replaced in message text after markdown conversion
+
+            // text-to-speech readout (speechSynthesis) of sender + shortened text, one at a time
+            ttsEnabled: false,
+            ttsVoice: "",               // voiceURI; "" = system default
+            ttsRate: 1,
+            ttsMaxChars: 140,           // longer text is cut at a word boundary
+            ttsPerMinute: 6,            // readouts over this are skipped (the toast still shows)
+            ttsPriorities: ["call", "dm", "mention"],   // rules can force a readout on or off
+            ttsMuteChime: true,         // no XSOverlay sound for toasts that are read out
+
+            // highlight triggers for guild messages the filters above would skip
+            notifyRoleMentions: true,   // @role mentions for roles I hold
+            keywords: [],               // [{enabled, pattern, regex, caseSensitive, wholeWord}]
+
+            // coalescing: merge bursts into one toast (0 = off)
+            coalesceWindowMs: 0,
+            coalesceBy: "author",       // "author" (per channel + author) or "channel"
+            coalesceMaxLines: 5,
+
+            // notification history (persisted ring buffer)
+            historyEnabled: true,
+            historySize: 200,
+            historyLogFiltered: false,  // also log messages the filters skipped (noisy)
+
+            // actions on recent toasts: canned replies / mark read, via hotkeys or a local HTTP endpoint
+            actionsEnabled: false,
+            actionHotkeys: true,        // Ctrl+Alt+1..9 reply, Ctrl+Alt+0 mark read (while Discord has focus)
+            actionPort: 42071,          // http://127.0.0.1:<port>/reply?index=1&token=...
+            actionToken: "",            // generated on first enable; required on every request
+            cannedReplies: ["brb, in VR", "will answer later"],
+
+            activeProfile: ""           // name of the last profile applied or saved
         };
 
-        this.ws = null;
-        this.queue = [];
-        this.connected = false;
-        this.connecting = false;
+        this.transports = [new OVRToolkitTransport(this), new HttpTransport(this)]; // XSOverlay targets join in load()
         this._lastSentAt = 0;
-        this._backoff = 1000;
-        this._backoffMax = 15000;
-        this._maxQueue = 200;
-        this._reconnectTimer = null;
+        this._queueSaveTimer = null;
+        this._keywordCache = new Map();
+        this._redactCache = { source: null, list: [] };
+        this._pending = [];             // notes waiting for minIntervalMs, highest priority first
+        this._pendingTimer = null;
+        this._seq = 0;
+        this._ringing = new Set();      // channel IDs currently ringing me
+        this._voiceChannelId = null;    // my voice channel when _voiceMembers was taken
+        this._voiceMembers = new Set();
+        this._seenMessages = new Map(); // message ID -> { ts, channelId, author, mention, notified, deleted }
+        this._quietHeld = [];           // summaries of toasts suppressed by a schedule, for the digest
+        this._quietTimer = null;
+        this._batches = new Map();      // coalesce key -> { items, timer }
+        this.history = [];
+        this._historySaveTimer = null;
+        this._avatarCache = new Map();  // "userId:hash" -> base64, oldest first
+        this._avatarCacheBytes = 0;
+        this._avatarInflight = new Map();
+        this._avatarSaveTimer = null;
+        this._profiles = {};            // name -> settings snapshot (see _profileSnapshot)
+        this._logRing = [];             // last log lines (printed or not) for the diagnostics report
+        this._actionTargets = [];       // recent toasts with a channel: { id, ts, title, channelId, messageId, guildId }
+        this._actionServer = null;
+        this._actionError = "";
+        this._ttsQueue = [];            // texts waiting to be spoken
+        this._ttsTimes = [];            // readout timestamps in the last minute, for ttsPerMinute
+        this._ttsCurrent = null;        // { utterance, watchdog } while speaking
+        this._resetMetrics();
     }
 
     /* ========================= BetterDiscord Lifecycle ========================= */
 
     load() {
-        this.settings = Object.assign({}, this.defaultSettings, BdApi.loadData(this.meta.name, "settings") || {});
+        const saved = BdApi.loadData(this.meta.name, "settings");
+        const { settings, problems } = this._validateSettings(this._migrateSettings(saved));
+        this.settings = settings;
+        if (problems.length) this._log("Settings repaired on load:", problems);
+        if (saved && (problems.length || saved.settingsVersion !== XSOverlayNotifier.SETTINGS_VERSION)) this._save();
+        const profiles = BdApi.loadData(this.meta.name, "profiles");
+        this._profiles = profiles && typeof profiles === "object" && !Array.isArray(profiles) ? profiles : {};
+        const history = BdApi.loadData(this.meta.name, "history");
+        this.history = Array.isArray(history) ? history : [];
+        if (this.settings.avatarCacheDisk) this._loadAvatarCache();
+        this._syncTargets();
         this._bindInternals();
         this._log("Loaded.");
     }
 
     start() {
+        this._resetMetrics();
+        this._loadQueues();
         this._subscribe();
+        this._quietTimer = setInterval(() => this._quietTick(), 30000);
+        this._startActions();
         if (this.settings.autoConnect) this._connect();
         this._log("Started.");
     }
 
     stop() {
         this._unsubscribe();
-        this._disconnect(true);
+        this._stopActions();
+        this._stopSpeech();
+        if (this._quietTimer) clearInterval(this._quietTimer);
+        this._quietTimer = null;
+        this._clearBatches();
+        this._clearPending();
+        this._saveHistory(true);
+        if (this._avatarSaveTimer) this._saveAvatarCache(true);
+        this._disconnect(true, true);
+        if (this._queueSaveTimer) this._saveQueues(true);
         this._log("Stopped.");
     }
 
@@ -97,6 +981,8 @@ module.exports = class XSOverlayNotifier {
                 React.createElement("div", null, children)
             );
 
+        // Field components own their state; render them with React.createElement so a remount
+        // (the keyed div in Panel) re-reads this.settings
         const Bool = ({k, label}) => {
             const [val, setVal] = useState(this.settings[k]);
             return Row({
@@ -109,20 +995,25 @@ module.exports = class XSOverlayNotifier {
             });
         };
 
+        // Only in-range values are saved; anything else reverts to the saved value on blur
         const NumberInput = ({k, label, min=0, step=1}) => {
             const [val, setVal] = useState(this.settings[k]);
+            const lim = XSOverlayNotifier.SETTINGS_LIMITS[k];
             return Row({
                 label,
                 children: React.createElement("input", {
                     type: "number",
                     value: val,
-                    min,
+                    min: lim ? lim[0] : min,
+                    max: lim?.[1],
                     step,
                     style: {width:120},
                     onChange: e => {
+                        setVal(e.target.value);
                         const num = Number(e.target.value);
-                        if (!Number.isNaN(num)) { this.settings[k] = num; setVal(num); this._save(); }
-                    }
+                        if (e.target.value !== "" && Number.isFinite(num) && this._clampSetting(k, num) === num) { this.settings[k] = num; this._save(); }
+                    },
+                    onBlur: () => { setVal(this.settings[k]); }
                 })
             });
         };
@@ -146,56 +1037,663 @@ module.exports = class XSOverlayNotifier {
             onClick
         }, label);
 
-        const Panel = () => {
-            const [, force] = useState(0);
-            const reconnect = () => { this._disconnect(); this._connect(true); force(x => x+1); };
-            const testPing = () => this._sendToOverlay("BetterDiscord", "Discord overlay online", this.settings.timeoutMs);
+        const Select = ({value, options, onChange, width=120}) => React.createElement("select", {
+            value,
+            style: {width},
+            onChange: e => onChange(e.target.value)
+        }, options.map(([v, text]) => React.createElement("option", {key: v, value: v}, text)));
+
+        // Ordered rule list; each field edit saves immediately like the inputs above.
+        const RulesEditor = () => {
+            const [rules, setRules] = useState(this.settings.rules.map(r => ({...r})));
+            const commit = next => { this.settings.rules = next; setRules(next); this._save(); };
+            const update = (i, patch) => commit(rules.map((r, j) => j === i ? {...r, ...patch} : r));
+            const move = (i, dir) => {
+                const j = i + dir;
+                if (j < 0 || j >= rules.length) return;
+                const next = rules.slice();
+                [next[i], next[j]] = [next[j], next[i]];
+                commit(next);
+            };
+            const field = (i, key, placeholder, width=150) => React.createElement("input", {
+                type: "text",
+                value: rules[i][key] ?? "",
+                placeholder,
+                style: {width},
+                onChange: e => update(i, {[key]: e.target.value})
+            });
 
-            return React.createElement("div", {style:{padding:12}},
-                React.createElement("h3", null, "XSOverlay Notifier"),
-                TextInput({k:"host", label:"Host"}),
-                NumberInput({k:"port", label:"Port"}),
-                TextInput({k:"clientName", label:"Client name (WS ?client=...)"}),
-                React.createElement("hr", null),
-                Bool({k:"notifyDMs", label:"Notify: Direct Messages"}),
-                Bool({k:"notifyMentions", label:"Notify: Mentions (@you/@here/@everyone)"}),
-                Bool({k:"notifyGuildMessages", label:"Notify: All guild messages (noisy)"}),
-                Bool({k:"includeChannelName", label:"Include channel/server name"}),
-                NumberInput({k:"timeoutMs", label:"Toast timeout (ms)", min:500, step:500}),
-                NumberInput({k:"minIntervalMs", label:"Min interval between toasts (ms)", min:0, step:100}),
-                React.createElement("hr", null),
+            return React.createElement("div", null,
+                React.createElement("div", {style:{fontWeight:600, margin:"8px 0"}}, "Rules (first match wins; IDs may be comma-separated)"),
+                rules.map((r, i) => React.createElement("div", {
+                    key: i,
+                    style: {border:"1px solid var(--background-modifier-accent)", borderRadius:8, padding:8, margin:"6px 0", opacity: r.enabled === false ? 0.5 : 1}
+                },
+                    React.createElement("div", {style:{display:"flex", flexWrap:"wrap", gap:6, alignItems:"center"}},
+                        React.createElement("input", {type:"checkbox", checked: r.enabled !== false, onChange: e => update(i, {enabled: e.target.checked})}),
+                        field(i, "name", "Rule name", 140),
+                        Select({value: r.action || "allow", options: XSOverlayNotifier.RULE_ACTIONS, onChange: v => update(i, {action: v}), width: 100}),
+                        r.action !== "deny" && Select({
+                            value: r.privacy || "",
+                            options: [["", "Privacy: global"], ...XSOverlayNotifier.PRIVACY_LEVELS.map(([v, text]) => [v, `Privacy: ${text}`])],
+                            onChange: v => update(i, {privacy: v}),
+                            width: 170
+                        }),
+                        r.action !== "deny" && Select({
+                            value: r.tts || "",
+                            options: [["", "Speak: by priority"], ["on", "Speak: always"], ["off", "Speak: never"]],
+                            onChange: v => update(i, {tts: v}),
+                            width: 150
+                        }),
+                        Button({label:"↑", onClick: () => move(i, -1)}),
+                        Button({label:"↓", onClick: () => move(i, 1)}),
+                        Button({label:"Remove", onClick: () => commit(rules.filter((_, j) => j !== i))})
+                    ),
+                    React.createElement("div", {style:{display:"flex", flexWrap:"wrap", gap:6, marginTop:6}},
+                        field(i, "guildId", "Guild ID(s)"),
+                        field(i, "channelId", "Channel ID(s)"),
+                        field(i, "authorId", "Author ID(s)"),
+                        Select({value: r.channelType || "any", options: XSOverlayNotifier.RULE_CHANNEL_TYPES, onChange: v => update(i, {channelType: v})}),
+                        Select({value: r.mentionKind || "any", options: XSOverlayNotifier.RULE_MENTION_KINDS, onChange: v => update(i, {mentionKind: v}), width: 150})
+                    ),
+                    r.action === "override" && React.createElement("div", {style:{display:"flex", flexWrap:"wrap", gap:6, marginTop:6}},
+                        field(i, "timeoutMs", "Timeout ms", 90),
+                        field(i, "volume", "Volume 0-1", 90),
+                        field(i, "opacity", "Opacity 0-1", 90),
+                        field(i, "sound", "Sound (default/none/path)", 190)
+                    )
+                )),
+                Button({label:"Add rule", onClick: () => commit(rules.concat([XSOverlayNotifier.newRule()]))})
+            );
+        };
 
-                Bool({k:"autoHeight", label:"Auto height based on message length"}),
-                NumberInput({k:"height", label:"Fixed height (if auto off)", min:100, step:5}),
-                NumberInput({k:"minHeight", label:"Min height (auto)", min:80, step:5}),
-                NumberInput({k:"maxHeight", label:"Max height (auto)", min:120, step:10}),
-                NumberInput({k:"lineHeight", label:"Line height (px)", min:10, step:1}),
-                NumberInput({k:"wrapChars", label:"Wrap at ~chars/line", min:20, step:1}),
-                NumberInput({k:"basePadding", label:"Base padding (px)", min:60, step:2}),
+        const HistoryView = () => {
+            const [query, setQuery] = useState("");
+            const [, refresh] = useState(0);
+            const q = query.trim().toLowerCase();
+            const entries = this.history.slice().reverse()
+                .filter(e => !q || [e.title, e.content, e.outcome, e.reason].some(v => String(v || "").toLowerCase().includes(q)))
+                .slice(0, 100);
+            const colors = { sent: "#3ba55c", queued: "#faa61a", dropped: "#ed4245", filtered: "#747f8d" };
+
+            return React.createElement("div", null,
+                React.createElement("div", {style:{display:"flex", gap:8, alignItems:"center", margin:"8px 0"}},
+                    React.createElement("div", {style:{fontWeight:600}}, `History (${this.history.length})`),
+                    React.createElement("input", {type:"text", value: query, placeholder:"Search…", style:{width:220}, onChange: e => setQuery(e.target.value)}),
+                    Button({label:"Refresh", onClick: () => refresh(x => x+1)}),
+                    Button({label:"Clear", onClick: () => { this._clearHistory(); refresh(x => x+1); }})
+                ),
+                React.createElement("div", {style:{maxHeight:280, overflowY:"auto"}},
+                    entries.map(e => React.createElement("div", {key: e.id, style:{borderBottom:"1px solid var(--background-modifier-accent)", padding:"6px 0"}},
+                        React.createElement("div", {style:{display:"flex", gap:8, alignItems:"center", fontSize:12}},
+                            React.createElement("span", {style:{opacity:0.7}}, new Date(e.ts).toLocaleString()),
+                            React.createElement("span", {style:{color: colors[e.outcome] || "inherit", fontWeight:600}}, e.outcome),
+                            e.reason && React.createElement("span", {style:{opacity:0.7}}, e.reason),
+                            React.createElement("span", {style:{flex:1}}),
+                            Button({label:"Resend", onClick: () => this._resendHistory(e)}),
+                            e.channelId && Button({label:"Jump", onClick: () => this._jumpToMessage(e)})
+                        ),
+                        React.createElement("div", {style:{fontWeight:600}}, e.title),
+                        React.createElement("div", {style:{whiteSpace:"pre-wrap", opacity:0.85}}, this._cap(e.content, 300))
+                    ))
+                )
+            );
+        };
 
-                React.createElement("hr", null),
-                NumberInput({k:"opacity", label:"Opacity (0-1)", min:0, step:0.1}),
-                NumberInput({k:"volume", label:"Volume (0-1)", min:0, step:0.1}),
-                Bool({k:"forceDefaultSound", label:"Always use default XSOverlay sound"}),
-                Bool({k:"avatarIcon", label:"Use sender's avatar as icon"}),
-                TextInput({k:"fallbackIcon", label:"Fallback icon (keyword/path/base64)"}),
-                Bool({k:"useBase64Icon", label:"Send icon as base64"}),
+        // Local stand-in for each sample toast: the box is the estimated height, the text is
+        // wrapped at wrapChars, so overflow or empty space shows where the estimate is off
+        const CalibrationView = () => {
+            const [custom, setCustom] = useState("");
+            const s = this.settings;
+            const samples = XSOverlayNotifier.CALIBRATION_SAMPLES.concat(custom ? [["Custom", "Custom", custom]] : []);
+            const box = ([label, title, content]) => {
+                const est = this._estimateLayout(content);
+                const height = s.autoHeight ? est.height : Number(s.height) || 175;
+                const clamped = s.autoHeight && est.raw !== est.height;
+                return React.createElement("div", {key: label, style:{display:"flex", flexDirection:"column", gap:4}},
+                    React.createElement("div", {style:{display:"flex", gap:6, alignItems:"center", fontSize:12}},
+                        React.createElement("span", {style:{fontWeight:600}}, label),
+                        React.createElement("span", {style:{opacity:0.7}}, `${est.lines} line${est.lines === 1 ? "" : "s"} · ${height}px${clamped ? ` (clamped from ${est.raw})` : ""}`),
+                        Button({label:"Send", onClick: () => label === "Custom" ? this._sendToOverlay(title, content, s.timeoutMs) : this._sendCalibrationSamples([label])})
+                    ),
+                    React.createElement("div", {style:{
+                        height, boxSizing:"border-box", overflow:"hidden", borderRadius:8,
+                        border:`1px solid ${clamped ? "#faa61a" : "var(--background-modifier-accent)"}`,
+                        background:"var(--background-secondary)", width:"fit-content"
+                    }},
+                        React.createElement("div", {style:{height: Math.max(60, Number(s.basePadding) || 92), boxSizing:"border-box", padding:"10px 12px", fontWeight:600, borderBottom:"1px dashed var(--background-modifier-accent)"}}, title),
+                        React.createElement("div", {style:{
+                            width: `${Math.max(20, Number(s.wrapChars) || 38)}ch`, padding:"0 12px", whiteSpace:"pre-wrap", overflowWrap:"anywhere",
+                            lineHeight: `${Math.max(12, Number(s.lineHeight) || 18)}px`, fontFamily:"monospace"
+                        }}, content)
+                    )
+                );
+            };
+
+            return React.createElement("div", null,
+                React.createElement("div", {style:{display:"flex", gap:8, alignItems:"center", margin:"8px 0"}},
+                    React.createElement("div", {style:{fontWeight:600}}, "Toast size preview"),
+                    Button({label:"Send all samples", onClick: () => this._sendCalibrationSamples()})
+                ),
+                React.createElement("textarea", {
+                    value: custom, rows: 2, placeholder: "Your own text to preview…",
+                    style: {width:"100%", fontSize:12}, onChange: e => setCustom(e.target.value)
+                }),
+                React.createElement("div", {style:{display:"flex", flexWrap:"wrap", gap:12, marginTop:8}}, samples.map(box))
+            );
+        };
 
-                React.createElement("hr", null),
-                Bool({k:"autoConnect", label:"Auto-connect at startup"}),
-                Bool({k:"logDebug", label:"Debug logging"}),
+        // Re-rendered by the panel's 1s tick, so the numbers are live
+        const DiagnosticsView = () => {
+            const [note, setNote] = useState("");
+            const m = this._metricsSnapshot();
+            const cell = (label, value) => React.createElement("div", {key: label, style:{display:"flex", flexDirection:"column", minWidth:90}},
+                React.createElement("span", {style:{fontSize:11, opacity:0.7}}, label),
+                React.createElement("span", {style:{fontWeight:600}}, String(value))
+            );
+            const filtered = Object.entries(m.filtered).sort((a, b) => b[1] - a[1]);
+            const copy = () => {
+                const report = this._diagnosticsReport();
+                navigator.clipboard?.writeText(report).then(() => setNote("Copied to clipboard"), () => setNote("Clipboard unavailable"));
+            };
+
+            return React.createElement("div", null,
+                React.createElement("div", {style:{display:"flex", gap:8, alignItems:"center", margin:"8px 0"}},
+                    React.createElement("div", {style:{fontWeight:600}}, `Diagnostics (since ${this._formatDuration(m.uptimeMs)} ago)`),
+                    Button({label:"Copy diagnostics", onClick: copy}),
+                    Button({label:"Reset counters", onClick: () => { this._resetMetrics(); setNote(""); }}),
+                    note && React.createElement("span", {style:{opacity:0.7, fontSize:12}}, note)
+                ),
+                React.createElement("div", {style:{display:"flex", flexWrap:"wrap", gap:12}},
+                    cell("Seen", m.seen),
+                    cell("Filtered", filtered.reduce((n, [, c]) => n + c, 0)),
+                    cell("Sent", m.sent),
+                    cell("Queued", m.queued),
+                    cell("Dropped", m.dropped),
+                    cell("Avatar failures", `${m.avatarFailures}/${m.avatarFetches}`),
+                    cell("Avg avatar fetch", m.avgAvatarMs == null ? "–" : `${m.avgAvatarMs}ms`)
+                ),
+                filtered.length > 0 && React.createElement("div", {style:{fontSize:12, opacity:0.7, marginTop:6}},
+                    `Filtered: ${filtered.map(([reason, count]) => `${reason} ${count}`).join(" · ")}`
+                ),
+                this.transports.filter(t => t.enabled()).map(t => {
+                    const d = t.diagnostics();
+                    const parts = [
+                        `${t.label}: ${d.attempts} attempt${d.attempts === 1 ? "" : "s"}`,
+                        `${d.retries} retr${d.retries === 1 ? "y" : "ies"}`,
+                        `next backoff ${d.backoffMs / 1000}s`,
+                        d.uptimeMs ? `up ${this._formatDuration(d.uptimeMs)}` : "down",
+                        d.lastError && `last error "${d.lastError}" ${this._formatDuration(Date.now() - d.lastErrorAt)} ago`
+                    ];
+                    return React.createElement("div", {key: t.id, style:{fontSize:12, opacity:0.7, marginTop:4}}, parts.filter(Boolean).join(" · "));
+                })
+            );
+        };
 
-                React.createElement("hr", null),
-                // NEW toggles for 2.8.0
-                Bool({k:"queueWhileDisconnected", label:"Queue notifications while disconnected"}),
-                Bool({k:"clearQueueOnDisconnect", label:"Clear queue on disconnect"}),
+        const PriorityEditor = () => {
+            const [levels, setLevels] = useState({...this.settings.priorities});
+            const update = (level, patch) => {
+                const next = {...levels, [level]: {...levels[level], ...patch}};
+                this.settings.priorities = next; setLevels(next); this._save();
+            };
+            const field = (level, key, placeholder, width=90) => React.createElement("input", {
+                type: "text",
+                value: levels[level]?.[key] ?? "",
+                placeholder,
+                style: {width},
+                onChange: e => update(level, {[key]: e.target.value})
+            });
 
-                React.createElement("div", {style:{display:"flex", gap:8, marginTop:12}},
-                    Button({label: this.connected ? "Connected" : (this.connecting ? "Connecting…" : "Connect"), onClick: reconnect}),
-                    Button({label:"Send Test", onClick: testPing})
+            return React.createElement("div", null,
+                React.createElement("div", {style:{fontWeight:600, margin:"8px 0"}}, "Priority levels (highest first; blank = global setting)"),
+                XSOverlayNotifier.PRIORITY_LEVELS.map(([level, label]) => React.createElement("div", {key: level, style:{display:"flex", flexWrap:"wrap", gap:6, alignItems:"center", margin:"4px 0"}},
+                    React.createElement("div", {style:{width:140}}, label),
+                    field(level, "timeoutMs", "Timeout ms"),
+                    field(level, "volume", "Volume 0-1"),
+                    field(level, "opacity", "Opacity 0-1"),
+                    field(level, "sound", "Sound", 130),
+                    field(level, "icon", "Icon (keyword/path/base64)", 170)
+                ))
+            );
+        };
+
+        const SchedulesEditor = () => {
+            const [list, setList] = useState(this.settings.schedules.map(x => ({...x})));
+            const [, refresh] = useState(0);
+            const commit = next => { this.settings.schedules = next; setList(next); this._save(); };
+            const update = (i, patch) => commit(list.map((x, j) => j === i ? {...x, ...patch} : x));
+            const toggleDay = (i, d) => {
+                const days = new Set(list[i].days || []);
+                days.has(d) ? days.delete(d) : days.add(d);
+                update(i, {days: [...days].sort()});
+            };
+            const snooze = m => { this._snooze(m); refresh(x => x+1); };
+            const until = Number(this.settings.snoozeUntil) > Date.now() ? new Date(this.settings.snoozeUntil) : null;
+
+            return React.createElement("div", null,
+                React.createElement("div", {style:{fontWeight:600, margin:"8px 0"}}, "Quiet hours & focus schedules"),
+                list.map((x, i) => React.createElement("div", {key: i, style:{display:"flex", flexWrap:"wrap", gap:6, alignItems:"center", margin:"4px 0", opacity: x.enabled === false ? 0.5 : 1}},
+                    React.createElement("input", {type:"checkbox", checked: x.enabled !== false, onChange: e => update(i, {enabled: e.target.checked})}),
+                    React.createElement("input", {type:"text", value: x.name || "", placeholder:"Name", style:{width:110}, onChange: e => update(i, {name: e.target.value})}),
+                    React.createElement("label", {style:{display:"flex", gap:4, alignItems:"center"}},
+                        React.createElement("input", {type:"checkbox", checked: !!x.always, onChange: e => update(i, {always: e.target.checked})}),
+                        "Manual (while enabled)"
+                    ),
+                    !x.always && ["S", "M", "T", "W", "T", "F", "S"].map((d, day) => React.createElement("label", {key: day, style:{display:"flex", alignItems:"center"}},
+                        React.createElement("input", {type:"checkbox", checked: (x.days || []).includes(day), onChange: () => toggleDay(i, day)}),
+                        d
+                    )),
+                    !x.always && React.createElement("input", {type:"time", value: x.start || "", onChange: e => update(i, {start: e.target.value})}),
+                    !x.always && React.createElement("input", {type:"time", value: x.end || "", onChange: e => update(i, {end: e.target.value})}),
+                    Select({value: x.action || "suppress", options: [["suppress", "Suppress"], ["downgrade", "Downgrade"]], onChange: v => update(i, {action: v}), width: 110}),
+                    Button({label:"Remove", onClick: () => commit(list.filter((_, j) => j !== i))})
+                )),
+                Button({label:"Add schedule", onClick: () => commit(list.concat([XSOverlayNotifier.newSchedule()]))}),
+                React.createElement("div", {style:{display:"flex", gap:8, alignItems:"center", marginTop:8}},
+                    [30, 60, 120].map(m => React.createElement(React.Fragment, {key: m}, Button({label:`Snooze ${m}m`, onClick: () => snooze(m)}))),
+                    until && Button({label:"Resume", onClick: () => snooze(0)}),
+                    React.createElement("span", {style:{opacity:0.7, fontSize:12}}, until ? `Snoozed until ${until.toLocaleTimeString()}` : "Not snoozed")
+                )
+            );
+        };
+
+        const TemplatesEditor = () => {
+            const [, refresh] = useState(0);
+            const [kind, setKind] = useState("dm");
+            const s = this.settings;
+            const t = s.templates[kind];
+            const update = patch => { s.templates = { ...s.templates, [kind]: { ...t, ...patch } }; this._save(); refresh(x => x+1); };
+            const preview = this._previewTemplate(kind);
+
+            return React.createElement("div", null,
+                React.createElement("div", {style:{display:"flex", gap:8, alignItems:"center", margin:"8px 0"}},
+                    React.createElement("input", {type:"checkbox", checked: s.templatesEnabled, onChange: e => { s.templatesEnabled = e.target.checked; this._save(); refresh(x => x+1); }}),
+                    React.createElement("div", {style:{fontWeight:600}}, "Custom title/body templates"),
+                    Select({value: kind, options: [["dm", "Direct messages"], ["group", "Group DMs"], ["guild", "Server messages"]], onChange: setKind, width: 160})
+                ),
+                Row({label:"Title", children: React.createElement("input", {type:"text", value: t.title, style:{width:360, fontFamily:"monospace"}, onChange: e => update({title: e.target.value})})}),
+                React.createElement("textarea", {
+                    value: t.body, rows: 2,
+                    style: {width:"100%", fontFamily:"monospace", fontSize:12},
+                    onChange: e => update({body: e.target.value})
+                }),
+                React.createElement("div", {style:{fontSize:12, opacity:0.7, margin:"4px 0"}},
+                    `Placeholders: ${XSOverlayNotifier.TEMPLATE_PLACEHOLDERS.map(p => `{${p}}`).join(" ")} · ` +
+                    `filters: ${Object.keys(XSOverlayNotifier.TEMPLATE_FILTERS).join(", ")} (e.g. {content|truncate:80}, {nick|upper}, {guild|default:DM})`
+                ),
+                React.createElement("div", {style:{display:"flex", gap:8, alignItems:"flex-start", marginTop:4}},
+                    React.createElement("div", {style:{padding:"8px 12px", borderRadius:8, background:"var(--background-secondary)", maxWidth:420, opacity: s.templatesEnabled ? 1 : 0.5}},
+                        React.createElement("div", {style:{fontWeight:600}}, preview.title),
+                        React.createElement("div", {style:{whiteSpace:"pre-wrap", fontSize:13}}, preview.content)
+                    ),
+                    Button({label:"Send preview", onClick: () => this._sendToOverlay(preview.title, preview.content, s.timeoutMs)}),
+                    Button({label:"Reset", onClick: () => update(XSOverlayNotifier.newTemplate())})
+                )
+            );
+        };
+
+        const SpeechEditor = () => {
+            const [, refresh] = useState(0);
+            const s = this.settings;
+            const set = (k, v) => { s[k] = v; this._save(); refresh(x => x+1); };
+            const available = typeof speechSynthesis !== "undefined";
+            // the voice list fills in asynchronously; the panel's 1s refresh picks it up
+            const voices = available ? speechSynthesis.getVoices() : [];
+            const toggle = (level, on) => set("ttsPriorities", on ? s.ttsPriorities.concat([level]) : s.ttsPriorities.filter(x => x !== level));
+
+            return React.createElement("div", null,
+                React.createElement("div", {style:{display:"flex", gap:8, alignItems:"center", margin:"8px 0"}},
+                    React.createElement("input", {type:"checkbox", checked: s.ttsEnabled, disabled: !available, onChange: e => set("ttsEnabled", e.target.checked)}),
+                    React.createElement("div", {style:{fontWeight:600}}, "Read notifications aloud"),
+                    Button({label:"Test voice", onClick: () => this._speak("Alice: are you still in VR? Dinner's ready.")}),
+                    Button({label:"Stop", onClick: () => this._stopSpeech()}),
+                    !available && React.createElement("span", {style:{opacity:0.7, fontSize:12}}, "speech synthesis unavailable")
                 ),
-                React.createElement("div", {style:{marginTop:6, opacity:0.7, fontSize:12}},
-                    `Status: ${this.connected ? "Connected" : (this.connecting ? "Connecting" : "Disconnected")} · Target: ${this._targetUrl()}`
+                Row({label:"Voice", children: Select({
+                    value: s.ttsVoice,
+                    options: [["", "System default"], ...voices.map(v => [v.voiceURI, `${v.name} (${v.lang})`])],
+                    onChange: v => set("ttsVoice", v),
+                    width: 260
+                })}),
+                React.createElement(NumberInput, {k:"ttsRate", label:"Speed (0.5-3)", step:0.1}),
+                React.createElement(NumberInput, {k:"ttsMaxChars", label:"Read at most (characters)", step:10}),
+                React.createElement(NumberInput, {k:"ttsPerMinute", label:"Max readouts per minute"}),
+                React.createElement(Bool, {k:"ttsMuteChime", label:"No chime for toasts that are read out"}),
+                React.createElement("div", {style:{fontSize:12, opacity:0.7, margin:"6px 0"}}, "Read out (rules can override):"),
+                React.createElement("div", {style:{display:"flex", flexWrap:"wrap", gap:10}},
+                    XSOverlayNotifier.PRIORITY_LEVELS.map(([level, text]) => React.createElement("label", {key: level, style:{display:"flex", gap:4, alignItems:"center", fontSize:13}},
+                        React.createElement("input", {type:"checkbox", checked: s.ttsPriorities.includes(level), onChange: e => toggle(level, e.target.checked)}),
+                        text
+                    ))
+                )
+            );
+        };
+
+        const PrivacyEditor = () => {
+            const [, refresh] = useState(0);
+            const [patterns, setPatterns] = useState(this.settings.redactPatterns);
+            const set = (k, v) => { this.settings[k] = v; this._save(); refresh(x => x+1); };
+            const savePatterns = v => { setPatterns(v); set("redactPatterns", v); };
+            const addPresets = () => {
+                const have = patterns.split("\n").map(x => x.trim()).filter(Boolean);
+                savePatterns(have.concat(XSOverlayNotifier.REDACT_PRESETS.filter(x => !have.includes(x))).join("\n"));
+            };
+            const total = patterns.split("\n").filter(x => x.trim()).length;
+            const invalid = total - this._redactors().length;
+            const levels = XSOverlayNotifier.PRIVACY_LEVELS;
+
+            return React.createElement("div", null,
+                React.createElement("div", {style:{fontWeight:600, margin:"8px 0"}}, "Privacy"),
+                Row({label:"Privacy mode", children: Select({value: this.settings.privacyMode, options: levels, onChange: v => set("privacyMode", v), width: 160})}),
+                Row({label:"During Streamer Mode", children: React.createElement("div", {style:{display:"flex", gap:8, alignItems:"center"}},
+                    React.createElement("input", {type:"checkbox", checked: this.settings.privacyOnStreamerMode, onChange: e => set("privacyOnStreamerMode", e.target.checked)}),
+                    Select({value: this.settings.privacyStreamerLevel, options: levels.slice(1), onChange: v => set("privacyStreamerLevel", v), width: 160}),
+                    React.createElement("span", {style:{opacity:0.7, fontSize:12}}, `now: ${this._privacyLevel()}`)
+                )}),
+                React.createElement("div", {style:{fontSize:12, opacity:0.7, margin:"6px 0"}}, "Redact (one regex per line, case-insensitive):"),
+                React.createElement("textarea", {
+                    value: patterns, rows: 3,
+                    style: {width:"100%", fontFamily:"monospace", fontSize:12},
+                    onChange: e => savePatterns(e.target.value)
+                }),
+                React.createElement("div", {style:{display:"flex", gap:8, alignItems:"center", marginTop:4}},
+                    Button({label:"Add common patterns", onClick: addPresets}),
+                    invalid > 0 && React.createElement("span", {style:{color:"#ed4245", fontSize:12}}, `${invalid} invalid pattern${invalid === 1 ? "" : "s"} skipped`)
+                )
+            );
+        };
+
+        const TargetsEditor = () => {
+            const [list, setList] = useState(this.settings.targets.map(t => ({...t})));
+            const commit = edited => {
+                const next = this._normalizeTargets(edited);
+                this.settings.targets = next; setList(next); this._save();
+                this._syncTargets();
+                if (this.settings.autoConnect) this._connect();
+            };
+            const patched = (i, patch) => list.map((t, j) => j === i ? {...t, ...patch} : t);
+            const update = (i, patch) => commit(patched(i, patch));
+            // text fields apply on blur, so typing an address doesn't reconnect on every key
+            const field = (i, key, placeholder, width, type = "text") => React.createElement("input", {
+                type, value: list[i][key], placeholder, style:{width},
+                onChange: e => setList(patched(i, {[key]: e.target.value})),
+                onBlur: () => commit(list)
+            });
+            const transport = id => this.transports.find(t => t.id === id);
+
+            return React.createElement("div", null,
+                React.createElement("div", {style:{fontWeight:600, margin:"8px 0"}}, "XSOverlay targets"),
+                list.map((t, i) => React.createElement("div", {key: t.id, style:{display:"flex", flexWrap:"wrap", gap:6, alignItems:"center", margin:"4px 0", opacity: t.enabled ? 1 : 0.5}},
+                    React.createElement("input", {type:"checkbox", checked: t.enabled, onChange: e => update(i, {enabled: e.target.checked})}),
+                    field(i, "name", "Name", 110),
+                    field(i, "host", "Host", 130),
+                    field(i, "port", "Port", 80, "number"),
+                    field(i, "clientName", "Client name", 130),
+                    Select({
+                        value: t.filter,
+                        options: Object.entries(XSOverlayTransport.FILTERS).map(([v, f]) => [v, f.label]),
+                        onChange: v => update(i, {filter: v}),
+                        width: 180
+                    }),
+                    React.createElement("span", {style:{opacity:0.7, fontSize:12}}, transport(t.id)?.status() || ""),
+                    Button({label:"Remove", onClick: () => commit(list.filter((_, j) => j !== i))})
+                )),
+                Button({label:"Add target", onClick: () => commit(list.concat([{...XSOverlayNotifier.newTarget(), id: this._newTargetId(), name: `Target ${list.length + 1}`}]))})
+            );
+        };
+
+        const ActionsEditor = () => {
+            const [, refresh] = useState(0);
+            const [replies, setReplies] = useState(this.settings.cannedReplies.join("\n"));
+            const set = (k, v, restart = false) => {
+                this.settings[k] = v; this._save(); refresh(x => x+1);
+                if (restart) this._restartActions();
+            };
+            const saveReplies = v => { setReplies(v); set("cannedReplies", v.split("\n").map(x => x.trim()).filter(Boolean)); };
+            const on = this.settings.actionsEnabled;
+            const port = this._actionServer?.address()?.port ?? this.settings.actionPort;
+            const status = !on ? "off" : this._actionError ? `error: ${this._actionError}` : this._actionServer?.listening ? `listening on 127.0.0.1:${port}` : "starting…";
+            const last = this._actionTargets[this._actionTargets.length - 1];
+
+            return React.createElement("div", null,
+                React.createElement("div", {style:{fontWeight:600, margin:"8px 0"}}, "Actions from VR"),
+                Row({label:"Enable quick replies / mark read", children: React.createElement("input", {type:"checkbox", checked: on, onChange: e => set("actionsEnabled", e.target.checked, true)})}),
+                Row({label:"Hotkeys (Ctrl+Alt+1…9 reply, Ctrl+Alt+0 read)", children: React.createElement("input", {type:"checkbox", checked: this.settings.actionHotkeys, onChange: e => set("actionHotkeys", e.target.checked, true)})}),
+                Row({label:"Local endpoint port", children: React.createElement("input", {
+                    type:"number", min:1024, max:65535, defaultValue: this.settings.actionPort, style:{width:100},
+                    onBlur: e => {
+                        const v = Number(e.target.value);
+                        if (Number.isInteger(v) && v >= 1024 && v <= 65535 && v !== this.settings.actionPort) set("actionPort", v, true);
+                        else e.target.value = this.settings.actionPort;
+                    }
+                })}),
+                React.createElement("div", {style:{fontSize:12, opacity:0.7, margin:"6px 0"}}, "Canned replies (one per line, numbered from 1):"),
+                React.createElement("textarea", {
+                    value: replies, rows: 3,
+                    style: {width:"100%", fontSize:12},
+                    onChange: e => saveReplies(e.target.value)
+                }),
+                React.createElement("div", {style:{display:"flex", gap:8, alignItems:"center", marginTop:4}},
+                    Button({label:"Copy reply URL", onClick: () => navigator.clipboard?.writeText(`http://127.0.0.1:${port}/reply?index=1&token=${this.settings.actionToken}`)}),
+                    Button({label:"New token", onClick: () => set("actionToken", this._newActionToken())}),
+                    React.createElement("span", {style:{opacity:0.7, fontSize:12}}, status)
+                ),
+                on && React.createElement("div", {style:{fontSize:12, opacity:0.7, marginTop:4}},
+                    last ? `Acts on: ${last.title} (${this._formatDuration(Date.now() - last.ts)} ago)` : "Acts on: nothing yet"
+                )
+            );
+        };
+
+        const KeywordsEditor = () => {
+            const [list, setList] = useState(this.settings.keywords.map(k => ({...k})));
+            const commit = next => { this.settings.keywords = next; setList(next); this._save(); };
+            const update = (i, patch) => commit(list.map((k, j) => j === i ? {...k, ...patch} : k));
+            const check = (i, key, label) => React.createElement("label", {style:{display:"flex", gap:4, alignItems:"center"}},
+                React.createElement("input", {type:"checkbox", checked: !!list[i][key], onChange: e => update(i, {[key]: e.target.checked})}),
+                label
+            );
+
+            return React.createElement("div", null,
+                React.createElement("div", {style:{fontWeight:600, margin:"8px 0"}}, "Keyword triggers (guild messages)"),
+                list.map((k, i) => React.createElement("div", {key: i, style:{display:"flex", flexWrap:"wrap", gap:8, alignItems:"center", margin:"4px 0"}},
+                    React.createElement("input", {type:"checkbox", checked: k.enabled !== false, onChange: e => update(i, {enabled: e.target.checked})}),
+                    React.createElement("input", {type:"text", value: k.pattern, placeholder: k.regex ? "Regular expression" : "Keyword or phrase", style:{width:220}, onChange: e => update(i, {pattern: e.target.value})}),
+                    check(i, "regex", "Regex"),
+                    check(i, "caseSensitive", "Match case"),
+                    check(i, "wholeWord", "Whole word"),
+                    Button({label:"Remove", onClick: () => commit(list.filter((_, j) => j !== i))})
+                )),
+                Button({label:"Add keyword", onClick: () => commit(list.concat([XSOverlayNotifier.newKeyword()]))})
+            );
+        };
+
+        const ProfilesEditor = ({onReplaced}) => {
+            const [name, setName] = useState(this.settings.activeProfile || "");
+            const [text, setText] = useState("");
+            const [note, setNote] = useState("");
+            const [, refresh] = useState(0);
+            const names = Object.keys(this._profiles);
+            const report = (done, problems) => setNote(problems.length ? `${done}; repaired: ${problems.join("; ")}` : done);
+            const run = (fn, replaced) => {
+                try { fn(); } catch (e) { setNote(e.message || String(e)); }
+                if (replaced) onReplaced();
+                refresh(x => x+1);
+            };
+
+            const apply = () => run(() => report(`Switched to "${name}"`, this._applyProfile(name)), true);
+            const save = () => run(() => setNote(this._saveProfile(name) ? `Saved "${name.trim()}"` : "Enter a profile name first"));
+            const remove = () => run(() => { this._deleteProfile(name); setNote(`Deleted "${name}"`); setName(""); });
+            const exportAll = () => run(() => {
+                const json = this._exportSettings();
+                setText(json);
+                navigator.clipboard?.writeText(json).then(() => setNote("Exported and copied to clipboard"), () => setNote("Exported below"));
+            });
+            const importAll = () => run(() => report("Imported", this._importSettings(text)), true);
+
+            return React.createElement("div", null,
+                React.createElement("div", {style:{fontWeight:600, margin:"8px 0"}}, "Profiles"),
+                React.createElement("div", {style:{display:"flex", gap:8, alignItems:"center", flexWrap:"wrap"}},
+                    Select({value: names.includes(name) ? name : "", options: [["", "—"], ...names.map(n => [n, n])], onChange: setName, width: 160}),
+                    React.createElement("input", {type:"text", value: name, placeholder:"Profile name", style:{width:140}, onChange: e => setName(e.target.value)}),
+                    Button({label:"Apply", onClick: apply}),
+                    Button({label:"Save current as", onClick: save}),
+                    names.includes(name) && Button({label:"Delete", onClick: remove}),
+                    this.settings.activeProfile && React.createElement("span", {style:{opacity:0.7, fontSize:12}}, `Active: ${this.settings.activeProfile}`)
+                ),
+                React.createElement("textarea", {
+                    value: text,
+                    placeholder: "Paste exported settings JSON here to import",
+                    rows: 4,
+                    style: {width:"100%", marginTop:8, fontFamily:"monospace", fontSize:12},
+                    onChange: e => setText(e.target.value)
+                }),
+                React.createElement("div", {style:{display:"flex", gap:8, marginTop:4}},
+                    Button({label:"Export", onClick: exportAll}),
+                    Button({label:"Import", onClick: importAll})
+                ),
+                note && React.createElement("div", {style:{marginTop:6, opacity:0.7, fontSize:12}}, note)
+            );
+        };
+
+        const Panel = () => {
+            const [, force] = useState(0);
+            const [rev, setRev] = useState(0);
+            React.useEffect(() => {
+                const timer = setInterval(() => force(x => x+1), 1000); // live transport status
+                return () => clearInterval(timer);
+            }, []);
+            const reconnect = t => { t.connect(true); force(x => x+1); };
+
+            return React.createElement("div", {style:{padding:12}},
+                React.createElement("h3", null, "XSOverlay Notifier"),
+                React.createElement(ProfilesEditor, {onReplaced: () => setRev(x => x+1)}),
+                React.createElement("hr", null),
+                // remounted after a profile switch/import so every field re-reads the settings
+                React.createElement("div", {key: rev},
+                    React.createElement(TargetsEditor),
+                    React.createElement(TextInput, {k:"clientName", label:"Default client name (WS ?client=...)"}),
+                    React.createElement(Bool, {k:"ovrtEnabled", label:"Send to OVR Toolkit"}),
+                    React.createElement(TextInput, {k:"ovrtHost", label:"OVR Toolkit host"}),
+                    React.createElement(NumberInput, {k:"ovrtPort", label:"OVR Toolkit port"}),
+                    React.createElement(Bool, {k:"httpEnabled", label:"Send to HTTP webhook"}),
+                    React.createElement(TextInput, {k:"httpUrl", label:"Webhook URL (POST)", width:360}),
+                    React.createElement(TextInput, {k:"httpTemplate", label:"Body template ({{title}} {{content}} {{icon}} {{timeout}} {{source}})", width:360}),
+                    React.createElement(TextInput, {k:"httpHeaders", label:"Extra headers (JSON)", width:360}),
+                    React.createElement("hr", null),
+                    React.createElement(Bool, {k:"notifyDMs", label:"Notify: Direct Messages"}),
+                    React.createElement(Bool, {k:"notifyMentions", label:"Notify: Mentions (@you/@here/@everyone)"}),
+                    React.createElement(Bool, {k:"notifyGuildMessages", label:"Notify: All guild messages (noisy)"}),
+                    React.createElement(Bool, {k:"includeChannelName", label:"Include channel/server name"}),
+                    React.createElement(TemplatesEditor),
+                    React.createElement(PrivacyEditor),
+                    React.createElement(Bool, {k:"respectDiscordSettings", label:"Respect Discord mutes, suppress flags and DND"}),
+                    React.createElement(Bool, {k:"notifyRoleMentions", label:"Notify: Mentions of roles I have"}),
+                    React.createElement(Bool, {k:"notifyCalls", label:"Notify: Incoming calls"}),
+                    React.createElement(Bool, {k:"notifyFriendRequests", label:"Notify: Friend requests"}),
+                    React.createElement(Bool, {k:"notifyReactions", label:"Notify: Reactions to my messages"}),
+                    React.createElement(Bool, {k:"notifyThreads", label:"Notify: New threads"}),
+                    React.createElement(TextInput, {k:"threadParentIds", label:"Threads: parent channel IDs (blank = any)"}),
+                    React.createElement(Bool, {k:"notifyVoice", label:"Notify: Joins/leaves in my voice channel"}),
+                    React.createElement(Bool, {k:"notifyEdits", label:"Notify: Edits that newly mention me"}),
+                    React.createElement(Bool, {k:"pullDeleted", label:"Drop pending toasts of deleted messages"}),
+                    React.createElement(Bool, {k:"notifyDeletes", label:"Notify: Shown message was deleted"}),
+                    React.createElement(NumberInput, {k:"deleteWindowMs", label:"Deleted-message window (ms)", min:0, step:5000}),
+                    React.createElement(KeywordsEditor),
+                    React.createElement(RulesEditor),
+                    React.createElement(SchedulesEditor),
+                    React.createElement(TextInput, {k:"quietVipIds", label:"Quiet hours: VIP user IDs (DMs/calls pass)"}),
+                    React.createElement(TextInput, {k:"quietKeywords", label:"Quiet hours: keywords that pass"}),
+                    Row({label:"Suppressed toasts go to", children: Select({
+                        value: this.settings.quietSuppressedTo,
+                        options: [["digest", "Digest + history"], ["history", "History only"], ["drop", "Nowhere"]],
+                        onChange: v => { this.settings.quietSuppressedTo = v; this._save(); force(x => x+1); },
+                        width: 160
+                    })}),
+                    React.createElement(NumberInput, {k:"timeoutMs", label:"Toast timeout (ms)", min:500, step:500}),
+                    React.createElement(NumberInput, {k:"minIntervalMs", label:"Min interval between toasts (ms)", min:0, step:100}),
+                    React.createElement(NumberInput, {k:"coalesceWindowMs", label:"Merge bursts within (ms, 0 = off)", min:0, step:250}),
+                    Row({label:"Merge bursts per", children: Select({
+                        value: this.settings.coalesceBy,
+                        options: [["author", "Channel + author"], ["channel", "Channel"]],
+                        onChange: v => { this.settings.coalesceBy = v; this._save(); force(x => x+1); },
+                        width: 160
+                    })}),
+                    React.createElement(NumberInput, {k:"coalesceMaxLines", label:"Max lines in merged toast", min:1, step:1}),
+                    React.createElement("hr", null),
+
+                    React.createElement(Bool, {k:"autoHeight", label:"Auto height based on message length"}),
+                    React.createElement(NumberInput, {k:"height", label:"Fixed height (if auto off)", min:100, step:5}),
+                    React.createElement(NumberInput, {k:"minHeight", label:"Min height (auto)", min:80, step:5}),
+                    React.createElement(NumberInput, {k:"maxHeight", label:"Max height (auto)", min:120, step:10}),
+                    React.createElement(NumberInput, {k:"lineHeight", label:"Line height (px)", min:10, step:1}),
+                    React.createElement(NumberInput, {k:"wrapChars", label:"Wrap at ~chars/line", min:20, step:1}),
+                    React.createElement(NumberInput, {k:"basePadding", label:"Base padding (px)", min:60, step:2}),
+                    React.createElement(CalibrationView),
+
+                    React.createElement("hr", null),
+                    React.createElement(NumberInput, {k:"opacity", label:"Opacity (0-1)", min:0, step:0.1}),
+                    React.createElement(NumberInput, {k:"volume", label:"Volume (0-1)", min:0, step:0.1}),
+                    React.createElement(Bool, {k:"forceDefaultSound", label:"Always use default XSOverlay sound"}),
+                    React.createElement(SpeechEditor),
+                    React.createElement(Bool, {k:"avatarIcon", label:"Use sender's avatar as icon"}),
+                    React.createElement(NumberInput, {k:"avatarFetchTimeoutMs", label:"Avatar deadline (ms, 0 = wait)", min:0, step:250}),
+                    React.createElement(NumberInput, {k:"avatarCacheMaxBytes", label:"Avatar cache budget (bytes)", min:0, step:500000}),
+                    React.createElement(Bool, {k:"avatarCacheDisk", label:"Keep avatar cache on disk"}),
+                    React.createElement(TextInput, {k:"fallbackIcon", label:"Fallback icon (keyword/path/base64)"}),
+                    React.createElement(Bool, {k:"useBase64Icon", label:"Send icon as base64"}),
+                    React.createElement(PriorityEditor),
+                    React.createElement(Bool, {k:"imagePreview", label:"Show image/embed/sticker preview as icon"}),
+                    React.createElement(NumberInput, {k:"imagePreviewSize", label:"Preview max size (px)", min:32, step:32}),
+                    React.createElement(NumberInput, {k:"imagePreviewMaxBytes", label:"Preview max download (bytes)", min:1024, step:100000}),
+                    React.createElement(TextInput, {k:"imagePreviewTypes", label:"Preview content types"}),
+                    React.createElement(Bool, {k:"imagePreviewNsfw", label:"Allow previews in NSFW channels"}),
+                    React.createElement(Bool, {k:"imagePreviewSpoilers", label:"Allow previews of spoilers"}),
+
+                    React.createElement("hr", null),
+                    React.createElement(Bool, {k:"autoConnect", label:"Auto-connect at startup"}),
+                    React.createElement(Bool, {k:"logDebug", label:"Debug logging"}),
+                    React.createElement(Bool, {k:"historyEnabled", label:"Keep notification history"}),
+                    React.createElement(NumberInput, {k:"historySize", label:"History size (entries)", min:10, step:10}),
+                    React.createElement(Bool, {k:"historyLogFiltered", label:"History: include filtered messages"}),
+
+                    React.createElement("hr", null),
+                    // NEW toggles for 2.8.0
+                    React.createElement(Bool, {k:"queueWhileDisconnected", label:"Queue notifications while disconnected"}),
+                    React.createElement(Bool, {k:"clearQueueOnDisconnect", label:"Clear queue on disconnect"}),
+                    React.createElement(NumberInput, {k:"maxQueue", label:"Max queued per output", min:1, step:10}),
+                    React.createElement(NumberInput, {k:"queueTtlMinutes", label:"Discard queued after (min, 0 = never)", min:0, step:5}),
+                    React.createElement(Bool, {k:"queuePersist", label:"Keep queue across restarts"}),
+                    Row({label:"On reconnect", children: Select({
+                        value: this.settings.replayMode,
+                        options: [["paced", "Replay one by one"], ["digest", "One digest toast"]],
+                        onChange: v => { this.settings.replayMode = v; this._save(); force(x => x+1); },
+                        width: 160
+                    })}),
+                    Row({label:"When headset is idle", children: Select({
+                        value: this.settings.headsetIdleMode,
+                        options: [["off", "Send anyway"], ["hold", "Hold until worn"], ["drop", "Drop"]],
+                        onChange: v => {
+                            this.settings.headsetIdleMode = v; this._save(); force(x => x+1);
+                            this.transports.forEach(t => t.flushQueue?.());
+                        },
+                        width: 160
+                    })}),
+
+                    React.createElement("div", {style:{display:"flex", gap:8, marginTop:12}},
+                        Button({label:"Clear avatar cache", onClick: () => this._clearAvatarCache()})
+                    ),
+                    this.transports.filter(t => t.enabled()).map(t => React.createElement("div", {key: t.id, style:{display:"flex", gap:8, alignItems:"center", marginTop:6, fontSize:12}},
+                        React.createElement("span", {style:{opacity:0.7, flex:1}}, `${t.label}: ${t.status()} · Target: ${t.url()}${t.queue.length ? ` · ${t.queue.length} queued` : ""}`),
+                        t instanceof WebSocketTransport && Button({label: t.connected ? "Reconnect" : "Connect", onClick: () => reconnect(t)}),
+                        Button({label:"Send Test", onClick: () => { this._sendTest(t.id); force(x => x+1); }})
+                    )),
+
+                    React.createElement("hr", null),
+                    React.createElement(ActionsEditor),
+                    React.createElement("hr", null),
+                    React.createElement(DiagnosticsView),
+                    React.createElement("hr", null),
+                    React.createElement(HistoryView)
                 )
             );
         };
@@ -210,25 +1708,65 @@ module.exports = class XSOverlayNotifier {
         this.ChannelStore = W.getModule(m => m?.getChannel && m?.getDMFromUserId);
         this.UserStore = W.getModule(m => m?.getCurrentUser && m?.getUser);
         this.GuildStore = W.getModule(m => m?.getGuild && m?.getGuilds);
+        this.GuildMemberStore = W.getModule(m => m?.getMember && m?.getMemberIds);
+        this.GuildRoleStore = W.getModule(m => m?.getRole && m?.getSortedRoles);
+        this.UserGuildSettingsStore = W.getModule(m => m?.isMuted && m?.isChannelMuted);
+        this.RelationshipStore = W.getModule(m => m?.isBlocked && m?.getRelationships);
+        this.PresenceStore = W.getModule(m => m?.getStatus && m?.getActivities);
+        this.transitionTo = W.getModule(m => typeof m === "function" && String(m).includes("transitionTo - Transitioning to"), {searchExports: true});
+        this.MessageStore = W.getModule(m => m?.getMessage && m?.getMessages);
+        this.SelectedChannelStore = W.getModule(m => m?.getVoiceChannelId && m?.getChannelId);
+        this.VoiceStateStore = W.getModule(m => m?.getVoiceStatesForChannel && m?.getVoiceStateForUser);
+        this.MessageActions = W.getModule(m => m?.sendMessage && m?.editMessage && m?.deleteMessage);
+        this.ReadStateActions = W.getModule(m => m?.ack && m?.bulkAck);
+        this.StreamerModeStore = W.getModule(m => typeof m === "object" && m && "hidePersonalInformation" in m && "disableNotifications" in m);
 
         this._onMessageCreate = this._onMessageCreate.bind(this);
-        this._onWSOpen = this._onWSOpen.bind(this);
-        this._onWSMessage = this._onWSMessage.bind(this);
-        this._onWSClose = this._onWSClose.bind(this);
-        this._onWSError = this._onWSError.bind(this);
+        this._onActionKey = this._onActionKey.bind(this);
+        this._onMessageUpdate = this._onMessageUpdate.bind(this);
+        this._onMessageDelete = this._onMessageDelete.bind(this);
+        this._onCall = this._onCall.bind(this);
+        this._onCallDelete = this._onCallDelete.bind(this);
+        this._onRelationshipAdd = this._onRelationshipAdd.bind(this);
+        this._onReactionAdd = this._onReactionAdd.bind(this);
+        this._onThreadCreate = this._onThreadCreate.bind(this);
+        this._onVoiceStates = this._onVoiceStates.bind(this);
+    }
+
+    // Every handler is always subscribed; each one checks its own toggle
+    _handlers() {
+        return {
+            MESSAGE_CREATE: this._onMessageCreate,
+            MESSAGE_UPDATE: this._onMessageUpdate,
+            MESSAGE_DELETE: this._onMessageDelete,
+            CALL_CREATE: this._onCall,
+            CALL_UPDATE: this._onCall,
+            CALL_DELETE: this._onCallDelete,
+            RELATIONSHIP_ADD: this._onRelationshipAdd,
+            MESSAGE_REACTION_ADD: this._onReactionAdd,
+            THREAD_CREATE: this._onThreadCreate,
+            VOICE_STATE_UPDATES: this._onVoiceStates
+        };
     }
 
     _subscribe() {
         if (!this.Dispatcher) return;
-        this.Dispatcher.subscribe("MESSAGE_CREATE", this._onMessageCreate);
+        for (const [type, fn] of Object.entries(this._handlers())) this.Dispatcher.subscribe(type, fn);
     }
 
     _unsubscribe() {
         if (!this.Dispatcher) return;
-        try { this.Dispatcher.unsubscribe("MESSAGE_CREATE", this._onMessageCreate); } catch {}
+        for (const [type, fn] of Object.entries(this._handlers())) {
+            try { this.Dispatcher.unsubscribe(type, fn); } catch {}
+        }
+        this._ringing.clear();
+        this._voiceMembers.clear();
+        this._voiceChannelId = null;
+        this._seenMessages.clear();
     }
 
-    async _onMessageCreate({ message }) {
+    // edited: re-run for a MESSAGE_UPDATE that newly mentions me
+    async _onMessageCreate({ message }, edited = false) {
         try {
             if (!message || !message.id) return;
             const me = this.UserStore?.getCurrentUser?.();
@@ -240,73 +1778,767 @@ module.exports = class XSOverlayNotifier {
             // Ignore my own messages
             if (message.author?.id === me.id) return;
 
+            // One toast per message ID, whichever event gets there first
+            if (this._seenMessages.get(message.id)?.notified) return;
+            if (!edited) this.metrics.seen++;
+
             const isDM = ch.type === 1 || ch.type === 3; // 1: DM, 3: Group DM
-            const isMention = this._isMention(me.id, message);
+            const mentionKind = this._mentionKind(me.id, message, ch);
+            const isMention = !!mentionKind;
             const isGuildMsg = ch.guild_id != null;
+            const keyword = isGuildMsg ? this._matchKeyword(message.content) : null;
+            this._markSeen(message, { mention: isMention });
+
+            // Rules take precedence over the global toggles
+            const rule = this._matchRule({
+                guildId: ch.guild_id ?? null,
+                channelId: ch.id,
+                authorId: message.author?.id,
+                channelType: this._channelKind(ch),
+                mentionKind,
+                keyword
+            });
+            if (rule?.action === "deny") return this._recordFiltered(message, ch, `denied by rule "${rule.name || "unnamed"}"`);
 
-            if (
+            const wanted =
+                rule ||
                 (isDM && this.settings.notifyDMs) ||
-                (isMention && this.settings.notifyMentions) ||
-                (isGuildMsg && this.settings.notifyGuildMessages)
-            ) {
-                const authorName = this._displayName(message, ch);
-                const title = this._cap((authorName || "Discord"), 128);
-
-                let content = this._sanitize((message.content || ""));
-
-                // Handle embeds/stickers/attachments when no plain content
-                if (!content) {
-                    if (message.sticker_items?.length) {
-                        content = `[sticker] ${(message.sticker_items[0]?.name || "").trim()}`;
-                    } else if (message.embeds?.length) {
-                        const e = message.embeds[0] || {};
-                        content = `[embed] ${this._sanitize(e.title || e.description || "")}`.trim();
-                    }
+                (isMention && this.settings.notifyMentions && (mentionKind !== "role" || this.settings.notifyRoleMentions)) ||
+                (isGuildMsg && this.settings.notifyGuildMessages) ||
+                keyword;
+            if (!wanted) return this._recordFiltered(message, ch, "no filter matched");
+
+            if (this.settings.respectDiscordSettings) {
+                const reason = this._discordSuppressReason(me, message, ch, mentionKind);
+                if (reason) {
+                    this._log(`Skipped by Discord settings (${reason})`);
+                    return this._recordFiltered(message, ch, reason);
                 }
-                if (!content && message.attachments?.length) {
-                    content = `[${message.attachments.length} attachment${message.attachments.length > 1 ? "s" : ""}]`;
+            }
+
+            const authorName = this._displayName(message, ch);
+            const trigger = this._triggerLabel(message, ch, mentionKind, keyword);
+            let title = this._cap(((authorName || "Discord") + (trigger ? ` · ${trigger}` : "") + (edited ? " (edited)" : "")), 128);
+
+            let content = this._sanitize((message.content || ""), ch.guild_id);
+
+            // Handle embeds/stickers/attachments when no plain content
+            if (!content) {
+                if (message.sticker_items?.length) {
+                    content = `[sticker] ${(message.sticker_items[0]?.name || "").trim()}`;
+                } else if (message.embeds?.length) {
+                    const e = message.embeds[0] || {};
+                    content = `[embed] ${this._sanitize(e.title || e.description || "", ch.guild_id)}`.trim();
                 }
+            }
+            if (!content && message.attachments?.length) {
+                content = `[${message.attachments.length} attachment${message.attachments.length > 1 ? "s" : ""}]`;
+            }
+            content = this._redact(content);
+
+            const line = content;
 
+            const template = this.settings.templatesEnabled && this.settings.templates?.[this._channelKind(ch)];
+            if (template) {
+                const vars = this._templateVars(message, ch, { nick: authorName, trigger, edited, content });
+                title = this._cap(XSOverlayNotifier.renderTemplate(template.title, vars).trim() || "Discord", 128);
+                content = XSOverlayNotifier.renderTemplate(template.body, vars);
+            } else if (this.settings.includeChannelName) {
                 // Include channel/server context without injecting blank lines
-                if (this.settings.includeChannelName) {
-                    const cx = this._channelContext(ch).trim();
-                    if (cx) {
-                        if (content) content = `${cx} — ${content.trim()}`;
-                        else content = cx;
-                    }
+                const cx = this._channelContext(ch).trim();
+                if (cx) {
+                    if (content) content = `${cx} — ${content.trim()}`;
+                    else content = cx;
                 }
+            }
 
-                // STRICT FINAL TRIM
-                content = (content || "")
-                    .replace(/\r\n/g, "\n")
-                    .replace(/^\s+|\s+$/g, "")
-                    .replace(/^\n+/, "")
-                    .replace(/\n+$/, "")
-                    .replace(/\n{2,}/g, "\n");
-
-                // Fetch avatar (base64) if enabled; fail fast and still notify
-                let iconBase64 = null;
-                if (this.settings.avatarIcon) {
-                    try {
-                        iconBase64 = await this._fetchAuthorAvatarBase64(message);
-                    } catch (e) {
-                        this._log("Avatar fetch failed", e?.message || e);
-                    }
-                }
+            // STRICT FINAL TRIM
+            content = (content || "")
+                .replace(/\r\n/g, "\n")
+                .replace(/^\s+|\s+$/g, "")
+                .replace(/^\n+/, "")
+                .replace(/\n+$/, "")
+                .replace(/\n{2,}/g, "\n");
+
+            // Quiet hours: suppressed toasts never fetch images
+            const priority = this._priorityOf(isDM, mentionKind, keyword);
+            const privacy = this._privacyLevel(rule);
+            const quiet = this._quietDecision({ isDM, authorId: message.author?.id, text: message.content, priority });
+            if (quiet?.action === "suppress") {
+                const held = { title, content, priority, author: authorName, where: this._channelLabel(ch), meta: this._messageMeta(message, ch), opts: { priority } };
+                return this._holdQuiet(this._applyPrivacy(held, privacy, this._channelContext(ch).trim()), quiet.reason);
+            }
 
-                this._sendToOverlay(title, content || "(no text)", this.settings.timeoutMs, iconBase64);
+            // Presentation: rule override > priority level > global settings; a quiet-hours
+            // downgrade presents it as a silent guild message instead
+            const level = quiet?.action === "downgrade" ? "guild" : priority;
+            const opts = {
+                ...this._presentationOverrides(this.settings.priorities[level]),
+                ...(rule?.action === "override" ? this._presentationOverrides(rule) : {}),
+                priority: level,
+                meta: this._messageMeta(message, ch)
+            };
+            if (quiet?.action === "downgrade") opts.audioPath = "";
+
+            // Image preview first (if enabled), then avatar (base64); both are deadline-bound,
+            // so a slow download falls through to the next icon and the toast still goes out.
+            // Privacy mode never shows previews, and anonymous toasts no avatar either.
+            // A level or rule icon replaces both, so nothing is downloaded for it.
+            let iconBase64 = null;
+            if (!opts.icon && this.settings.imagePreview && privacy === "off") {
+                try {
+                    iconBase64 = await this._fetchPreviewBase64(message, ch);
+                } catch (e) {
+                    this._log("Preview fetch failed", e?.message || e);
+                }
+            }
+            if (!opts.icon && !iconBase64 && this.settings.avatarIcon && privacy !== "anonymous") {
+                try {
+                    iconBase64 = await this._fetchAuthorAvatarBase64(message);
+                } catch (e) {
+                    this._log("Avatar fetch failed", e?.message || e);
+                }
             }
+
+            // Deleted (or already shown via another event) while the avatar was loading
+            const seen = this._seenMessages.get(message.id);
+            if (seen?.deleted || seen?.notified) return;
+            this._markSeen(message, { notified: true, author: authorName, priority });
+
+            const item = this._applyPrivacy({
+                key: this.settings.coalesceBy === "channel" ? ch.id : `${ch.id}:${message.author?.id}`,
+                title,
+                content: content || "(no text)",
+                author: authorName || "Discord",
+                line: line || "(no text)",
+                where: this._channelLabel(ch),
+                timeoutMs: opts.timeoutMs ?? this.settings.timeoutMs,
+                icon: iconBase64,
+                opts
+            }, privacy, this._channelContext(ch).trim());
+            if (!quiet) item.opts.speech = this._speechFor(item, priority, rule);
+            this._coalesce(item);
         } catch (e) {
             this._log("onMessage error", e);
         }
     }
 
+    /* ============================ Edits and deletes =========================== */
+
+    _markSeen(message, patch) {
+        const prev = this._seenMessages.get(message.id);
+        this._seenMessages.set(message.id, { ts: Date.now(), channelId: message.channel_id, ...prev, ...patch });
+        if (this._seenMessages.size > 500) {
+            this._seenMessages.delete(this._seenMessages.keys().next().value);
+        }
+    }
+
+    // MESSAGE_UPDATE carries a partial message; the store has the merged copy
+    _onMessageUpdate({ message }) {
+        try {
+            if (!this.settings.notifyEdits || !message?.id || message.content == null) return;
+            const seen = this._seenMessages.get(message.id);
+            if (!seen || seen.notified || seen.mention || seen.deleted) return;
+
+            const me = this.UserStore?.getCurrentUser?.();
+            const stored = this.MessageStore?.getMessage?.(message.channel_id, message.id);
+            const full = { ...(stored?.toJS?.() || stored || {}), ...message };
+            full.author = message.author || stored?.author;
+            if (!me || !full.author) return;
+
+            const ch = this.ChannelStore?.getChannel?.(full.channel_id);
+            if (!this._mentionKind(me.id, full, ch)) return;
+            this._onMessageCreate({ message: full }, true);
+        } catch (e) {
+            this._log("onMessageUpdate error", e);
+        }
+    }
+
+    // MESSAGE_DELETE: { id, channelId }
+    _onMessageDelete({ id, channelId }) {
+        try {
+            const seen = id && this._seenMessages.get(id);
+            if (!seen) return;
+            seen.deleted = true;
+            if (!seen.notified) return;
+
+            if (this.settings.pullDeleted && this._pullPending(id)) {
+                this._log(`Pulled pending toast for deleted message ${id}`);
+                return;
+            }
+
+            const windowMs = Math.max(0, Number(this.settings.deleteWindowMs) || 0);
+            if (!this.settings.notifyDeletes || Date.now() - seen.ts > windowMs) return;
+            const ch = this.ChannelStore?.getChannel?.(channelId || seen.channelId);
+            // same levels as _applyPrivacy: anonymous hides who, only off/server show where
+            const level = this._privacyLevel();
+            const who = level === "anonymous" ? "" : seen.author || "Someone";
+            const where = level === "off" || level === "server" ? this._channelContext(ch) || "a channel" : "";
+            this._sendToOverlay(
+                who ? `${who} deleted a message` : "A message was deleted",
+                seen.mention ? "The message that mentioned you was deleted" : where ? `In ${where}` : XSOverlayNotifier.PRIVACY_BODY,
+                this.settings.timeoutMs,
+                null,
+                // the original's level, so targets filtered to DMs don't hear about guild deletes
+                { priority: seen.priority, meta: { channelId: ch?.id ?? seen.channelId, guildId: ch?.guild_id ?? null, messageId: null } }
+            );
+        } catch (e) {
+            this._log("onMessageDelete error", e);
+        }
+    }
+
+    // Removes a message's toast from a coalescing batch, the send delay or the offline queue
+    _pullPending(messageId) {
+        const isIt = item => item?.opts?.meta?.messageId === messageId || item?.messageId === messageId;
+        for (const [key, batch] of this._batches) {
+            const before = batch.items.length;
+            batch.items = batch.items.filter(i => !isIt(i));
+            if (batch.items.length === before) continue;
+            if (!batch.items.length) {
+                clearTimeout(batch.timer);
+                this._batches.delete(key);
+            }
+            return true;
+        }
+        let i = this._pending.findIndex(isIt);
+        if (i >= 0) {
+            this._pending.splice(i, 1);
+            return true;
+        }
+        let pulled = false;
+        for (const t of this.transports) {
+            i = t.queue.findIndex(isIt);
+            if (i >= 0) {
+                t.queue.splice(i, 1);
+                pulled = true;
+            }
+        }
+        if (pulled) this._saveQueues();
+        return pulled;
+    }
+
+    /* =============================== Other events ============================= */
+
+    // Shared tail for non-message events: same priority presentation, coalescing and pacing as messages.
+    // ev: { kind, key, title, content, user, meta }
+    async _notifyEvent(ev) {
+        try {
+            const me = this.UserStore?.getCurrentUser?.();
+            if (this.settings.respectDiscordSettings && me && this.PresenceStore?.getStatus?.(me.id) === "dnd") {
+                this._countFiltered("do not disturb");
+                if (this.settings.historyLogFiltered) this._recordHistory({ title: ev.title, content: ev.content, opts: { meta: ev.meta }, outcome: "filtered", reason: "do not disturb" });
+                return;
+            }
+
+            const privacy = this._privacyLevel();
+            const quiet = this._quietDecision({ isDM: false, authorId: ev.user?.id, text: ev.content, priority: ev.kind });
+            if (quiet?.action === "suppress") {
+                const held = { title: ev.title, content: this._redact(ev.content), priority: ev.kind, author: ev.user ? this._userName(ev.user) : ev.title, where: ev.where || "", meta: ev.meta, opts: { priority: ev.kind } };
+                return this._holdQuiet(this._applyPrivacy(held, privacy, ev.where || ""), quiet.reason);
+            }
+
+            const level = quiet?.action === "downgrade" ? "guild" : ev.kind;
+            const opts = { ...this._presentationOverrides(this.settings.priorities[level]), priority: level, meta: ev.meta || {} };
+            if (quiet?.action === "downgrade") opts.audioPath = "";
+
+            let iconBase64 = null;
+            if (!opts.icon && ev.user && this.settings.avatarIcon && privacy !== "anonymous") {
+                try {
+                    iconBase64 = await this._fetchAuthorAvatarBase64({ author: ev.user });
+                } catch (e) {
+                    this._log("Avatar fetch failed", e?.message || e);
+                }
+            }
+            const content = this._redact(ev.content);
+            const item = this._applyPrivacy({
+                key: ev.key,
+                title: this._cap(ev.title, 128),
+                content,
+                author: ev.user ? this._userName(ev.user) : ev.title,
+                line: content,
+                where: ev.where || "",
+                timeoutMs: opts.timeoutMs ?? this.settings.timeoutMs,
+                icon: iconBase64,
+                opts
+            }, privacy, ev.where || "");
+            if (!quiet) item.opts.speech = this._speechFor(item, ev.kind);
+            this._coalesce(item);
+        } catch (e) {
+            this._log(`${ev?.kind} event error`, e);
+        }
+    }
+
+    _userName(user) {
+        return user?.globalName || user?.global_name || user?.username || "Someone";
+    }
+
+    // CALL_CREATE / CALL_UPDATE: { channelId, ringing: [userId] }
+    _onCall({ channelId, ringing }) {
+        if (!this.settings.notifyCalls || !channelId) return;
+        const me = this.UserStore?.getCurrentUser?.();
+        if (!me) return;
+        const nowRinging = Array.isArray(ringing) && ringing.includes(me.id);
+        const wasRinging = this._ringing.has(channelId);
+        if (nowRinging === wasRinging) return;
+
+        const ch = this.ChannelStore?.getChannel?.(channelId);
+        const caller = ch?.type === 1 ? this.UserStore?.getUser?.(ch.recipients?.[0] ?? ch.getRecipientId?.()) : null;
+        const from = caller ? this._userName(caller) : (this._channelContext(ch) || "Discord");
+        if (nowRinging) this._ringing.add(channelId);
+        else this._ringing.delete(channelId);
+
+        this._notifyEvent({
+            kind: "call",
+            key: `call:${channelId}`,
+            title: nowRinging ? `Incoming call · ${from}` : `Call stopped ringing · ${from}`,
+            content: nowRinging ? "Discord is ringing" : "No longer ringing",
+            user: caller,
+            meta: { channelId, guildId: null, messageId: null }
+        });
+    }
+
+    _onCallDelete({ channelId }) {
+        if (this._ringing.has(channelId)) this._onCall({ channelId, ringing: [] });
+    }
+
+    // RELATIONSHIP_ADD: type 3 is an incoming friend request
+    _onRelationshipAdd({ relationship }) {
+        if (!this.settings.notifyFriendRequests || relationship?.type !== 3) return;
+        const user = relationship.user || this.UserStore?.getUser?.(relationship.id);
+        this._notifyEvent({
+            kind: "friend",
+            key: `friend:${relationship.id}`,
+            title: this._userName(user),
+            content: "Sent you a friend request",
+            user,
+            meta: {}
+        });
+    }
+
+    // MESSAGE_REACTION_ADD: { channelId, messageId, userId, emoji }
+    _onReactionAdd({ channelId, messageId, userId, emoji }) {
+        if (!this.settings.notifyReactions) return;
+        const me = this.UserStore?.getCurrentUser?.();
+        if (!me || userId === me.id) return;
+        const message = this.MessageStore?.getMessage?.(channelId, messageId);
+        if (message?.author?.id !== me.id) return;
+
+        const ch = this.ChannelStore?.getChannel?.(channelId);
+        const user = this.UserStore?.getUser?.(userId);
+        const emojiText = emoji?.id ? `:${emoji.name}:` : (emoji?.name || "?");
+        const snippet = this._cap(this._sanitize(message.content || "", ch?.guild_id).replace(/\n/g, " "), 80);
+        this._notifyEvent({
+            kind: "reaction",
+            key: `reaction:${messageId}`,
+            title: `${this._userName(user)} reacted ${emojiText}`,
+            content: snippet ? `to “${snippet}”` : "to your message",
+            user,
+            where: this._channelLabel(ch),
+            meta: { channelId, guildId: ch?.guild_id ?? null, messageId }
+        });
+    }
+
+    // THREAD_CREATE: { channel, isNewlyCreated }
+    _onThreadCreate({ channel, isNewlyCreated }) {
+        if (!this.settings.notifyThreads || !channel || isNewlyCreated === false) return;
+        const me = this.UserStore?.getCurrentUser?.();
+        if (me && channel.ownerId === me.id) return;
+        const parents = String(this.settings.threadParentIds || "").split(",").map(x => x.trim()).filter(Boolean);
+        if (parents.length && !parents.includes(String(channel.parent_id))) return;
+
+        const parent = this.ChannelStore?.getChannel?.(channel.parent_id);
+        const owner = channel.ownerId ? this.UserStore?.getUser?.(channel.ownerId) : null;
+        this._notifyEvent({
+            kind: "thread",
+            key: `thread:${channel.id}`,
+            title: `New thread · ${channel.name || "thread"}`,
+            content: `${owner ? `${this._userName(owner)} in ` : ""}${this._channelContext(parent) || "a channel"}`,
+            user: owner,
+            meta: { channelId: channel.id, guildId: channel.guild_id ?? null, messageId: null }
+        });
+    }
+
+    // VOICE_STATE_UPDATES: { voiceStates: [{ userId, channelId, guildId }] }
+    _onVoiceStates({ voiceStates }) {
+        if (!this.settings.notifyVoice || !Array.isArray(voiceStates)) return;
+        const me = this.UserStore?.getCurrentUser?.();
+        const myChannel = this.SelectedChannelStore?.getVoiceChannelId?.() || null;
+
+        // Re-snapshot whenever I move; the batch that moved me isn't announced
+        if (myChannel !== this._voiceChannelId) {
+            this._voiceChannelId = myChannel;
+            const states = myChannel ? (this.VoiceStateStore?.getVoiceStatesForChannel?.(myChannel) || {}) : {};
+            this._voiceMembers = new Set(Object.keys(states));
+            return;
+        }
+        if (!myChannel) return;
+
+        const ch = this.ChannelStore?.getChannel?.(myChannel);
+        for (const state of voiceStates) {
+            if (!state?.userId || state.userId === me?.id) continue;
+            const was = this._voiceMembers.has(state.userId);
+            const now = state.channelId === myChannel;
+            if (was === now) continue;
+            if (now) this._voiceMembers.add(state.userId);
+            else this._voiceMembers.delete(state.userId);
+
+            const user = this.UserStore?.getUser?.(state.userId);
+            this._notifyEvent({
+                kind: "voice",
+                key: `voice:${myChannel}:${state.userId}`,
+                title: `${this._userName(user)} ${now ? "joined" : "left"}`,
+                content: ch?.name ? `🔊 ${ch.name}` : "your voice channel",
+                user,
+                meta: { channelId: myChannel, guildId: ch?.guild_id ?? null, messageId: null }
+            });
+        }
+    }
+
     _isMention(myId, message) {
-        if (!message) return false;
-        if (message.mention_everyone) return true;
-        if (message.content && (message.content.includes(`<@${myId}>`) || message.content.includes(`<@!${myId}>`))) return true;
-        if (Array.isArray(message.mentions) && message.mentions.some(m => m?.id === myId)) return true;
-        return false;
+        return !!this._mentionKind(myId, message);
+    }
+
+    // "user" for a direct @you, "role" for a role I hold, "everyone" for @everyone/@here, "" otherwise
+    _mentionKind(myId, message, ch) {
+        if (!message) return "";
+        if (message.content && (message.content.includes(`<@${myId}>`) || message.content.includes(`<@!${myId}>`))) return "user";
+        if (Array.isArray(message.mentions) && message.mentions.some(m => m?.id === myId)) return "user";
+        if (this._mentionedRoleId(myId, message, ch)) return "role";
+        if (message.mention_everyone) return "everyone";
+        return "";
+    }
+
+    _mentionedRoleId(myId, message, ch) {
+        const guildId = ch?.guild_id ?? message?.guild_id;
+        if (!guildId || !Array.isArray(message?.mention_roles) || !message.mention_roles.length) return null;
+        const myRoles = this.GuildMemberStore?.getMember?.(guildId, myId)?.roles || [];
+        return message.mention_roles.find(id => myRoles.includes(id)) || null;
+    }
+
+    _roleName(guildId, roleId) {
+        try {
+            const role = this.GuildRoleStore?.getRole?.(guildId, roleId) || this.GuildStore?.getGuild?.(guildId)?.roles?.[roleId];
+            if (role?.name) return role.name;
+        } catch {}
+        return "role";
+    }
+
+    // Short label naming what made a message notify, for highlights that aren't obvious from the text
+    _triggerLabel(message, ch, mentionKind, keyword) {
+        if (mentionKind === "role") {
+            const me = this.UserStore?.getCurrentUser?.();
+            const roleId = me && this._mentionedRoleId(me.id, message, ch);
+            return roleId ? `@${this._roleName(ch.guild_id, roleId)}` : "";
+        }
+        if (!mentionKind && keyword) return `“${this._cap(keyword.pattern, 40)}”`;
+        return "";
+    }
+
+    /* ================================ Keywords ================================ */
+
+    // Returns the first enabled keyword entry that matches, or null
+    _matchKeyword(text) {
+        if (!text) return null;
+        const list = Array.isArray(this.settings.keywords) ? this.settings.keywords : [];
+        for (const kw of list) {
+            if (!kw || kw.enabled === false || !kw.pattern) continue;
+            const re = this._keywordRegex(kw);
+            if (re && re.test(text)) return kw;
+        }
+        return null;
+    }
+
+    _keywordRegex(kw) {
+        const key = `${kw.pattern}\u0000${!!kw.regex}${!!kw.caseSensitive}${!!kw.wholeWord}`;
+        if (this._keywordCache.has(key)) return this._keywordCache.get(key);
+
+        let re = null;
+        try {
+            let src = kw.regex ? kw.pattern : String(kw.pattern).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+            if (kw.wholeWord) src = `(?<!\\w)(?:${src})(?!\\w)`;
+            re = new RegExp(src, kw.caseSensitive ? "" : "i");
+        } catch (e) {
+            this._log("Invalid keyword pattern", kw.pattern, e?.message || e);
+        }
+        if (this._keywordCache.size > 200) this._keywordCache.clear();
+        this._keywordCache.set(key, re);
+        return re;
+    }
+
+    // Mirrors the desktop client's notification decision; returns why a message
+    // would be silenced there, or null. Direct @mentions pass through mutes like in Discord.
+    _discordSuppressReason(me, message, ch, mentionKind) {
+        try {
+            const authorId = message.author?.id;
+            const rel = this.RelationshipStore;
+            if (authorId && rel?.isBlocked?.(authorId)) return "blocked user";
+            if (authorId && rel?.isIgnored?.(authorId)) return "ignored user";
+
+            if (this.PresenceStore?.getStatus?.(me.id) === "dnd") return "do not disturb";
+
+            const gs = this.UserGuildSettingsStore;
+            if (!gs) return null;
+            const guildId = ch.guild_id ?? null;
+
+            if (mentionKind === "everyone" && guildId && gs.isSuppressEveryoneEnabled?.(guildId)) return "@everyone/@here suppressed";
+            if (mentionKind === "role" && guildId && gs.isSuppressRolesEnabled?.(guildId)) return "role mentions suppressed";
+            if (mentionKind === "user") return null;
+
+            if (guildId && gs.isMuted?.(guildId)) return "guild muted";
+            if (gs.isChannelMuted?.(guildId, ch.id)) return "channel muted";
+            if (ch.parent_id && gs.isChannelMuted?.(guildId, ch.parent_id)) return "category muted";
+
+            if (guildId) {
+                // 0: all messages, 1: only mentions, 2: nothing, 3: inherit
+                let level = gs.getChannelMessageNotifications?.(guildId, ch.id);
+                if (level == null || level === 3) level = gs.getMessageNotifications?.(guildId);
+                if (level === 2) return "notifications off";
+                if (level === 1 && !mentionKind) return "only @mentions";
+            }
+        } catch (e) {
+            this._log("Discord settings check failed", e);
+        }
+        return null;
+    }
+
+    // Compact "where" for merged toast titles
+    _channelLabel(ch) {
+        if (!ch) return "";
+        if (ch.type === 1) return "DM";
+        if (ch.type === 3) return ch.name || "Group DM";
+        return ch.name ? `#${ch.name}` : "";
+    }
+
+    // Placeholder values for renderTemplate; see TEMPLATE_SAMPLES for the shape
+    _templateVars(message, ch, { nick, trigger, edited, content }) {
+        const author = message.author || {};
+        const count = message.attachments?.length || 0;
+        const sent = new Date(message.timestamp || Date.now());
+        return {
+            author: author.global_name || author.globalName || author.username || "",
+            nick: nick || "",
+            guild: ch.guild_id ? this.GuildStore?.getGuild?.(ch.guild_id)?.name ?? "" : "",
+            channel: ch.type === 1 ? "" : ch.name || "",
+            context: this._channelContext(ch).trim(),
+            content: content || "",
+            attachments: count ? `${count} attachment${count > 1 ? "s" : ""}` : "",
+            time: Number.isNaN(sent.getTime()) ? "" : sent.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" }),
+            trigger: trigger || "",
+            edited: edited ? "(edited)" : ""
+        };
+    }
+
+    // Renders a kind's template against its sample message, as the panel preview
+    _previewTemplate(kind) {
+        const vars = { ...XSOverlayNotifier.TEMPLATE_SAMPLES[kind], time: new Date().toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" }) };
+        const t = this.settings.templates?.[kind] || XSOverlayNotifier.newTemplate();
+        return {
+            title: this._cap(XSOverlayNotifier.renderTemplate(t.title, vars).trim() || "Discord", 128),
+            content: XSOverlayNotifier.renderTemplate(t.body, vars).trim().replace(/\n{2,}/g, "\n") || "(no text)"
+        };
+    }
+
+    _channelKind(ch) {
+        if (ch?.type === 1) return "dm";
+        if (ch?.type === 3) return "group";
+        return ch?.guild_id != null ? "guild" : "other";
+    }
+
+    /* ================================== Rules ================================= */
+
+    _matchRule(info) {
+        const rules = Array.isArray(this.settings.rules) ? this.settings.rules : [];
+        return rules.find(r => r && r.enabled !== false && this._ruleMatches(r, info)) || null;
+    }
+
+    _ruleMatches(rule, info) {
+        const idMatch = (list, id) => {
+            const ids = String(list || "").split(",").map(x => x.trim()).filter(Boolean);
+            return !ids.length || (id != null && ids.includes(String(id)));
+        };
+        if (!idMatch(rule.guildId, info.guildId)) return false;
+        if (!idMatch(rule.channelId, info.channelId)) return false;
+        if (!idMatch(rule.authorId, info.authorId)) return false;
+
+        const type = rule.channelType || "any";
+        if (type !== "any" && type !== info.channelType) return false;
+
+        const kind = rule.mentionKind || "any";
+        if (kind === "keyword") return !!info.keyword;
+        if (kind === "mention") return !!info.mentionKind;
+        if (kind === "none") return !info.mentionKind;
+        if (kind !== "any") return kind === info.mentionKind;
+        return true;
+    }
+
+    // Reads the override fields shared by rules and priority levels; blank fields inherit
+    _presentationOverrides(entry) {
+        if (!entry) return {};
+        const num = v => (v === "" || v == null || Number.isNaN(Number(v))) ? undefined : Number(v);
+        const opts = {};
+        const timeoutMs = num(entry.timeoutMs);
+        const volume = num(entry.volume);
+        const opacity = num(entry.opacity);
+        if (timeoutMs != null) opts.timeoutMs = timeoutMs;
+        if (volume != null) opts.volume = Math.max(0, Math.min(1, volume));
+        if (opacity != null) opts.opacity = Math.max(0, Math.min(1, opacity));
+
+        const sound = String(entry.sound || "").trim();
+        if (sound) opts.audioPath = sound.toLowerCase() === "none" ? "" : sound;
+        const icon = String(entry.icon || "").trim();
+        if (icon) opts.icon = icon;
+        return opts;
+    }
+
+    /* =============================== Quiet hours ============================== */
+
+    _timeToMinutes(hhmm) {
+        const m = /^(\d{1,2}):(\d{2})$/.exec(String(hhmm || "").trim());
+        return m ? (Number(m[1]) % 24) * 60 + Number(m[2]) : null;
+    }
+
+    // Windows may cross midnight (22:00-07:00); the morning part belongs to the previous day's entry
+    _scheduleActive(sch, date = new Date()) {
+        if (!sch || sch.enabled === false) return false;
+        if (sch.always) return true;
+        const start = this._timeToMinutes(sch.start);
+        const end = this._timeToMinutes(sch.end);
+        if (start == null || end == null || start === end) return false;
+        const days = Array.isArray(sch.days) ? sch.days : [];
+        const now = date.getHours() * 60 + date.getMinutes();
+        const today = date.getDay();
+        if (start < end) return days.includes(today) && now >= start && now < end;
+        return (days.includes(today) && now >= start) || (days.includes((today + 6) % 7) && now < end);
+    }
+
+    // null, or { action: "suppress"|"downgrade", reason }. Snooze always suppresses.
+    _quietDecision({ isDM, authorId, text, priority }) {
+        const snoozed = Number(this.settings.snoozeUntil) > Date.now();
+        const active = snoozed ? null : (this.settings.schedules || []).find(sch => this._scheduleActive(sch));
+        if (!snoozed && !active) return null;
+
+        const list = v => String(v || "").split(",").map(x => x.trim()).filter(Boolean);
+        const vip = list(this.settings.quietVipIds);
+        if (authorId && vip.includes(String(authorId)) && (isDM || priority === "call")) return null;
+        const lower = String(text || "").toLowerCase();
+        if (lower && list(this.settings.quietKeywords).some(k => lower.includes(k.toLowerCase()))) return null;
+
+        if (snoozed) return { action: "suppress", reason: "snoozed" };
+        return { action: active.action === "downgrade" ? "downgrade" : "suppress", reason: `quiet hours: ${active.name || "schedule"}` };
+    }
+
+    _quietActive() {
+        return Number(this.settings.snoozeUntil) > Date.now() ||
+            (this.settings.schedules || []).some(sch => sch.action !== "downgrade" && this._scheduleActive(sch));
+    }
+
+    // item: { title, content, priority, author, where, meta }
+    _holdQuiet(item, reason) {
+        this._countFiltered(reason);
+        const dest = this.settings.quietSuppressedTo;
+        if (dest === "drop") return;
+        this._recordHistory({ title: item.title, content: item.content, opts: { meta: item.meta }, outcome: "filtered", reason });
+        if (dest === "digest") {
+            this._quietHeld.push({ summary: { kind: item.priority, author: item.author, where: item.where, count: 1 } });
+        }
+    }
+
+    // Sends what was held as one digest once no suppressing schedule (or snooze) is active
+    _quietTick() {
+        if (!this._quietHeld.length || this._quietActive()) return;
+        const items = this._quietHeld.splice(0);
+        const note = this._buildDigest(items, "while quiet");
+        const kinds = [...new Set(items.map(i => i.summary?.kind).filter(Boolean))];
+        this._queueNote(note, note.title, note.content, this.settings.timeoutMs, { summary: { kinds } });
+    }
+
+    _snooze(minutes) {
+        this.settings.snoozeUntil = minutes > 0 ? Date.now() + minutes * 60000 : 0;
+        this._save();
+        this._log(minutes > 0 ? `Snoozed for ${minutes} min` : "Snooze cleared");
+        this._quietTick();
+    }
+
+    /* ================================= Privacy ================================ */
+
+    _streamerModeOn() {
+        return !!this.StreamerModeStore?.enabled;
+    }
+
+    // Rule level (if set) else the global one, raised to privacyStreamerLevel during Streamer Mode
+    _privacyLevel(rule = null) {
+        const order = XSOverlayNotifier.PRIVACY_LEVELS.map(([v]) => v);
+        const valid = v => order.includes(v) ? v : null;
+        let level = valid(rule?.privacy) || valid(this.settings.privacyMode) || "off";
+        if (this.settings.privacyOnStreamerMode && this._streamerModeOn()) {
+            const streamer = valid(this.settings.privacyStreamerLevel) || "sender";
+            if (order.indexOf(streamer) > order.indexOf(level)) level = streamer;
+        }
+        return level;
+    }
+
+    // "New DM from Alice", plus "Guild · #channel" at the server level, or just "New DM".
+    // Author/where are rewritten too so coalesced titles and digests don't leak them.
+    _applyPrivacy(item, level, context = "") {
+        if (!level || level === "off") return item;
+        const [noun] = XSOverlayNotifier.DIGEST_NOUNS[item.opts?.priority] || ["message"];
+        const who = level === "anonymous" ? "" : item.author;
+        return {
+            ...item,
+            title: this._cap(who ? `New ${noun} from ${who}` : `New ${noun}`, 128),
+            content: (level === "server" && context) || XSOverlayNotifier.PRIVACY_BODY,
+            line: "",
+            author: who || "Someone",
+            where: level === "server" ? item.where : "",
+            icon: level === "anonymous" ? null : item.icon
+        };
+    }
+
+    // redactPatterns, compiled once per edit; bad patterns are skipped (and logged)
+    _redactors() {
+        const source = String(this.settings.redactPatterns || "");
+        if (this._redactCache.source === source) return this._redactCache.list;
+        const list = [];
+        for (const line of source.split("\n").map(x => x.trim()).filter(Boolean)) {
+            try {
+                list.push(new RegExp(line, "gi"));
+            } catch (e) {
+                this._log(`Bad redaction pattern ${line}:`, e.message);
+            }
+        }
+        this._redactCache = { source, list };
+        return list;
+    }
+
+    _redact(text) {
+        let out = String(text ?? "");
+        for (const re of this._redactors()) out = out.replace(re, "[redacted]");
+        return out;
+    }
+
+    /* ================================ Priority ================================ */
+
+    _priorityOf(isDM, mentionKind, keyword) {
+        if (isDM) return "dm";
+        if (mentionKind === "user") return "mention";
+        if (mentionKind === "role") return "role";
+        if (keyword) return "keyword";
+        if (mentionKind === "everyone") return "everyone";
+        return "guild";
+    }
+
+    // Higher is more urgent; unknown/absent priority (e.g. test pings) ranks lowest
+    _priorityRank(priority) {
+        const levels = XSOverlayNotifier.PRIORITY_LEVELS;
+        const i = levels.findIndex(([level]) => level === priority);
+        return i < 0 ? 0 : levels.length - i;
+    }
+
+    // Keeps a list ordered by rank (desc), then arrival (asc)
+    _insertByRank(list, item) {
+        const i = list.findIndex(x => x.rank < item.rank);
+        if (i < 0) list.push(item);
+        else list.splice(i, 0, item);
     }
 
     _displayName(message, channel) {
@@ -331,144 +2563,392 @@ module.exports = class XSOverlayNotifier {
         return "";
     }
 
-    /* =========================== XSOverlay Connection ========================= */
+    /* =============================== Transports =============================== */
 
-    _targetUrl() {
-        const host = (this.settings.host || this.defaultSettings.host).trim();
-        const port = Number(this.settings.port) || this.defaultSettings.port;
-        const client = encodeURIComponent(this.settings.clientName || this.defaultSettings.clientName);
-        return `ws://${host}:${port}/?client=${client}`;
+    _enabledTransports() {
+        return this.transports.filter(t => t.enabled());
     }
 
+    // One XSOverlayTransport per entry in settings.targets, matched by id so sockets and
+    // queues survive edits. A changed address reconnects; removed targets close and lose their queue.
+    _syncTargets() {
+        const previous = new Map(this.transports.filter(t => t instanceof XSOverlayTransport).map(t => [t.id, t]));
+        const targets = (this.settings.targets || []).map(target => {
+            const t = previous.get(target.id);
+            if (!t) return new XSOverlayTransport(this, target);
+            previous.delete(target.id);
+            const url = t.url();
+            t.setTarget(target);
+            if (t.url() !== url && (t.ws || t.connected || t.connecting)) {
+                t.disconnect(true, true);
+                if (t.enabled() && this.settings.autoConnect) t.connect();
+            }
+            return t;
+        });
+        for (const t of previous.values()) {
+            t.disconnect(true);
+            t.queue.length = 0;
+        }
+        this.transports = targets.concat(this.transports.filter(t => !(t instanceof XSOverlayTransport)));
+        if (previous.size) this._saveQueues();
+    }
+
+    _newTargetId() {
+        return `xso-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    // Straight to one transport, past pacing and filters; for the panel's per-output Send Test.
+    // Returns the outcome, or a promise of it for HTTP
+    _sendTest(id) {
+        const t = this.transports.find(x => x.id === id);
+        if (!t) return "dropped";
+        const outcome = t.send(this._buildNotification("BetterDiscord", `Test from Discord → ${t.label}`, this.settings.timeoutMs, null, null, { audioPath: "default" }), { rank: 0, summary: { kind: "other", author: "BetterDiscord", count: 1 } });
+        Promise.resolve(outcome).then(o => this._log(`Test to ${t.label}: ${o}`));
+        return outcome;
+    }
+
+    // Connects every enabled transport and closes the ones that were switched off
     _connect(force = false) {
-        if ((this.connected || this.connecting) && !force) return;
-        if (force) this._disconnect();
+        for (const t of this.transports) {
+            if (t.enabled()) t.connect(force);
+            else if (t.ws || t.connected || t.connecting) t.disconnect();
+        }
+    }
 
-        const url = this._targetUrl();
-        this.connecting = true;
+    _disconnect(silent = false, keepQueue = false) {
+        for (const t of this.transports) t.disconnect(silent, keepQueue);
+    }
+
+    /* =============================== Coalescing =============================== */
+
+    // Holds a toast for coalesceWindowMs so a burst on the same key leaves as one toast.
+    _coalesce(item) {
+        const windowMs = Number(this.settings.coalesceWindowMs) || 0;
+        if (windowMs <= 0) {
+            return this._sendToOverlay(item.title, item.content, item.timeoutMs, item.icon, this._withSummary(item, 1));
+        }
+
+        const batch = this._batches.get(item.key);
+        if (batch) {
+            batch.items.push(item);
+            return;
+        }
+        this._batches.set(item.key, {
+            items: [item],
+            timer: setTimeout(() => this._flushBatch(item.key), windowMs)
+        });
+    }
+
+    _flushBatch(key) {
+        const batch = this._batches.get(key);
+        if (!batch) return;
+        this._batches.delete(key);
+        clearTimeout(batch.timer);
+
+        const items = batch.items;
+        const last = items[items.length - 1];
+        if (items.length === 1) {
+            return this._sendToOverlay(last.title, last.content, last.timeoutMs, last.icon, this._withSummary(last, 1));
+        }
+
+        // "Alice (+4 more) in #general" with the newest lines stacked below
+        const maxLines = Math.max(1, Number(this.settings.coalesceMaxLines) || 5);
+        const multiAuthor = new Set(items.map(i => i.author)).size > 1;
+        const lines = items.slice(-maxLines).filter(i => i.line).map(i => {
+            const text = this._cap(String(i.line).replace(/\s*\n\s*/g, " "), 200);
+            return multiAuthor ? `${i.author}: ${text}` : text;
+        });
+        const title = `${last.author} (+${items.length - 1} more)${last.where ? ` in ${last.where}` : ""}`;
+
+        // Presented as its highest-ranked line (newest on a tie), rule overrides included,
+        // so "@you urgent" then "lol" still rings and lingers like a mention
+        const lead = items.reduce((a, b) => this._priorityRank(b.opts?.priority) >= this._priorityRank(a.opts?.priority) ? b : a);
+        const opts = { ...lead.opts, meta: last.opts?.meta, summary: { author: last.author, where: last.where, count: items.length } };
+
+        // one readout for the merged toast, led by that line or else the newest that asked for one
+        const spoken = lead.opts?.speech ? lead : items.filter(i => i.opts?.speech).pop();
+        opts.speech = spoken ? `${items.length} messages. ${spoken.opts.speech}` : "";
+
+        // privacy mode blanks every line; keep its placeholder body instead of "(no text)"
+        this._sendToOverlay(title, lines.join("\n") || last.content, lead.timeoutMs, last.icon, opts);
+    }
+
+    // Who/where/how many, kept with queued toasts so a digest can describe them
+    _withSummary(item, count) {
+        return { ...item.opts, summary: { author: item.author, where: item.where, count } };
+    }
+
+    _clearBatches() {
+        for (const batch of this._batches.values()) clearTimeout(batch.timer);
+        this._batches.clear();
+    }
+
+    /* ================================= History ================================ */
+
+    _messageMeta(message, ch) {
+        return {
+            messageId: message?.id ?? null,
+            channelId: ch?.id ?? message?.channel_id ?? null,
+            guildId: ch?.guild_id ?? null
+        };
+    }
+
+    // entry: { title, content, timeoutMs, opts, outcome: "sent"|"queued"|"dropped"|"filtered", reason }
+    _recordHistory(entry) {
+        if (!this.settings.historyEnabled) return;
+        const { meta, speech, ...overrides } = entry.opts || {};
+        this.history.push({
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+            ts: Date.now(),
+            title: entry.title,
+            content: entry.content,
+            timeoutMs: entry.timeoutMs,
+            opts: overrides,
+            outcome: entry.outcome,
+            reason: entry.reason || "",
+            ...(meta || {})
+        });
+        const max = Math.max(10, Number(this.settings.historySize) || 200);
+        if (this.history.length > max) this.history.splice(0, this.history.length - max);
+        this._saveHistory();
+    }
+
+    _recordFiltered(message, ch, reason) {
+        this._countFiltered(reason);
+        if (!this.settings.historyLogFiltered) return;
+        this._recordHistory({
+            title: this._displayName(message, ch),
+            content: this._cap(this._sanitize(message.content || "", ch?.guild_id), 300),
+            opts: { meta: this._messageMeta(message, ch) },
+            outcome: "filtered",
+            reason
+        });
+    }
+
+    // Debounced: bursts of toasts write once
+    _saveHistory(now = false) {
+        if (this._historySaveTimer) clearTimeout(this._historySaveTimer);
+        this._historySaveTimer = null;
+        const write = () => BdApi.saveData(this.meta.name, "history", this.history);
+        if (now) return write();
+        this._historySaveTimer = setTimeout(() => { this._historySaveTimer = null; write(); }, 2000);
+    }
 
+    _clearHistory() {
+        this.history = [];
+        this._saveHistory(true);
+    }
+
+    // Privacy applies as of now, so an entry shown before privacy mode was on resends hidden
+    _resendHistory(entry) {
+        const meta = { messageId: entry.messageId, channelId: entry.channelId, guildId: entry.guildId };
+        const opts = { ...(entry.opts || {}), meta };
+        const item = this._applyPrivacy({
+            title: entry.title, content: entry.content, author: opts.summary?.author || entry.title, where: opts.summary?.where || "", opts
+        }, this._privacyLevel(), opts.summary?.where || "");
+        this._sendToOverlay(item.title, item.content, entry.timeoutMs ?? this.settings.timeoutMs, null, opts);
+    }
+
+    _jumpToMessage(entry) {
+        if (!entry?.channelId) return;
+        const path = `/channels/${entry.guildId || "@me"}/${entry.channelId}${entry.messageId ? `/${entry.messageId}` : ""}`;
         try {
-            this.ws = new WebSocket(url);
+            if (typeof this.transitionTo === "function") this.transitionTo(path);
+            else this._log("Jump failed: navigation module not found");
         } catch (e) {
-            this._log("WS ctor failed", e);
-            this.connecting = false;
-            return this._scheduleReconnect();
+            this._log("Jump failed", e);
         }
-
-        this.ws.addEventListener("open", this._onWSOpen);
-        this.ws.addEventListener("message", this._onWSMessage);
-        this.ws.addEventListener("close", this._onWSClose);
-        this.ws.addEventListener("error", this._onWSError);
-        this._log(`Connecting to XSOverlay WS: ${url}`);
     }
 
-    _onWSOpen() {
-        this.connected = true;
-        this.connecting = false;
-        this._backoff = 1000;
-        this._log("XSOverlay connected.");
+    /* ================================ Sending ================================= */
 
-        const hello = this._buildNotification("BetterDiscord", "Discord overlay online", 2500, null, "Hello");
-        this._sendRaw(this._buildEnvelope(hello));
+    // Notes wait in _pending (ordered by priority) and leave one per minIntervalMs.
+    _sendToOverlay(titleText, contentText, timeoutMs, iconBase64, opts = {}) {
+        const title = this._cap((String(titleText) || "Discord"), 128) || "Discord";
+        const body  = this._cap((String(contentText) || "(no text)"), 1024);
 
-        while (this.queue.length && this.connected) this._sendRaw(this.queue.shift());
+        const note = this._buildNotification(title, body, timeoutMs, iconBase64, body, opts);
+        this._queueNote(note, title, body, timeoutMs, opts);
     }
 
-    _onWSMessage(ev) {
-        if (this.settings.logDebug) this._log("WS <-", ev?.data);
+    // Entry point for prebuilt notes (digests); same pacing and history as _sendToOverlay
+    _queueNote(note, title, body, timeoutMs, opts = {}) {
+        this._insertByRank(this._pending, { note, title, body, timeoutMs, opts, rank: this._priorityRank(opts.priority), seq: ++this._seq });
+        this._pumpPending();
     }
 
-    _onWSClose() {
-        this._log("XSOverlay disconnected.");
-        this.connected = false;
-        this.connecting = false;
-        if (this.settings.clearQueueOnDisconnect) this._clearQueue();
-        this._scheduleReconnect();
+    _pumpPending() {
+        if (this._pendingTimer || !this._pending.length) return;
+        const delta = Date.now() - this._lastSentAt;
+        const delay = Math.max(0, (Number(this.settings.minIntervalMs) || 0) - delta);
+
+        this._pendingTimer = setTimeout(() => {
+            this._pendingTimer = null;
+            const item = this._pending.shift();
+            if (item) this._deliverNote(item);
+            this._pumpPending();
+        }, delay);
+    }
+
+    // Fans out to every enabled transport; history gets the best outcome among them
+    _deliverNote({ note, title, body, timeoutMs, opts, rank }) {
+        this._lastSentAt = Date.now();
+        const info = {
+            rank,
+            messageId: opts.meta?.messageId ?? null,
+            summary: { kind: opts.priority || "other", kinds: opts.summary?.kinds, author: opts.summary?.author || title, where: opts.summary?.where || "", count: opts.summary?.count || 1 }
+        };
+        const transports = this._enabledTransports().filter(t => t.accepts(info));
+
+        // Read aloud only what is shown now: not queued, held, dropped or merged-away toasts.
+        // The chime is muted up front when some output can show it right away.
+        const speech = opts.speech && this.settings.ttsEnabled && this._speechAllowed() ? opts.speech : "";
+        if (speech && this.settings.ttsMuteChime && transports.some(t => t.connected && t.canDeliver?.() !== false)) {
+            note = { ...note, audioPath: "" };
+        }
+
+        // HTTP answers with a promise; the toast is counted once every post has settled
+        const outcomes = transports.map(t => t.send(note, info));
+        const finish = results => {
+            const outcome = ["sent", "queued"].find(o => results.includes(o)) || "dropped";
+            if (speech && outcome === "sent" && this._speak(speech)) this._ttsTimes.push(Date.now());
+            this.metrics[outcome]++;
+            if (outcome !== "dropped") this._rememberTarget(title, opts.meta);
+            this._recordHistory({ title, content: body, timeoutMs, opts, outcome });
+        };
+        if (outcomes.some(o => typeof o?.then === "function")) Promise.all(outcomes).then(finish);
+        else finish(outcomes);
     }
 
-    _onWSError(err) {
-        this._log("WS error", err);
-        this._disconnect(true);
-        this.connecting = false;
-        if (this.settings.clearQueueOnDisconnect) this._clearQueue();
-        this._scheduleReconnect();
+    /* ============================== Offline queue ============================= */
+
+    static DIGEST_NOUNS = {
+        call: ["call", "from"], dm: ["DM", "from"], mention: ["mention", "in"], role: ["role mention", "in"],
+        keyword: ["keyword hit", "in"], friend: ["friend request", "from"], everyone: ["@everyone ping", "in"],
+        reaction: ["reaction", "from"], thread: ["new thread", "in"], voice: ["voice update", "in"], guild: ["message", "in"]
+    };
+
+    _queueCap() {
+        return Math.max(1, Number(this.settings.maxQueue) || 200);
     }
 
-    _disconnect(silent = false) {
-        if (this._reconnectTimer) {
-            clearTimeout(this._reconnectTimer);
-            this._reconnectTimer = null;
-        }
-        if (this.ws) {
-            try {
-                this.ws.removeEventListener("open", this._onWSOpen);
-                this.ws.removeEventListener("message", this._onWSMessage);
-                this.ws.removeEventListener("close", this._onWSClose);
-                this.ws.removeEventListener("error", this._onWSError);
-                this.ws.close();
-            } catch {}
-            this.ws = null;
+    // Inserts by priority; when full, evicts the oldest entry of the lowest priority present,
+    // unless the newcomer ranks lower still. Returns false when the newcomer is the one dropped.
+    _enqueueInto(queue, note, info = {}) {
+        const rank = info.rank || 0;
+        if (queue.length >= this._queueCap()) {
+            const lowest = queue[queue.length - 1].rank;
+            if (rank < lowest) return false;
+            this._evicted(queue.splice(queue.findIndex(q => q.rank === lowest), 1)[0]);
         }
-        this.connected = false;
-        this.connecting = false;
-        if (this.settings.clearQueueOnDisconnect) this._clearQueue();
-        if (!silent) this._log("Disconnected from XSOverlay.");
+        this._insertByRank(queue, { note, rank, messageId: info.messageId ?? null, summary: info.summary || null, ts: Date.now() });
+        this._saveQueues();
+        return true;
     }
 
-    _scheduleReconnect() {
-        if (!this.settings.autoConnect) return;
-        const jitter = Math.floor(Math.random() * 400);
-        const wait = this._backoff + jitter;
-        this._backoff = Math.min(this._backoff * 2, this._backoffMax);
-        this._log(`Reconnecting in ${Math.floor(wait/1000)}s…`);
-        if (this._reconnectTimer) clearTimeout(this._reconnectTimer);
-        this._reconnectTimer = setTimeout(() => {
-            this._reconnectTimer = null;
-            this._connect();
-        }, wait);
+    // An evicted toast counts as dropped; its history entry says so unless another output still holds it
+    _evicted(entry) {
+        this.metrics.dropped++;
+        const s = entry.summary || {};
+        this._log(`Queue full: dropped a queued ${s.kind || "other"} toast${s.author ? ` from ${s.author}` : ""}`);
+        if (this.transports.some(t => t.queue?.some(q => q.note === entry.note))) return;
+        const same = h => entry.messageId ? h.messageId === entry.messageId : h.title === entry.note.title && h.content === entry.note.content;
+        const logged = this.history.findLast(h => h.outcome === "queued" && same(h));
+        if (!logged) return;
+        logged.outcome = "dropped";
+        logged.reason = "queue full";
+        this._saveHistory();
     }
 
-    /* ================================ Sending ================================= */
-
-    _sendToOverlay(titleText, contentText, timeoutMs, iconBase64) {
-        const now = Date.now();
-        const delta = now - this._lastSentAt;
-        const delay = Math.max(0, (Number(this.settings.minIntervalMs) || 0) - delta);
+    _pruneQueue(queue) {
+        const ttl = (Number(this.settings.queueTtlMinutes) || 0) * 60000;
+        if (!ttl) return;
+        const cutoff = Date.now() - ttl;
+        const before = queue.length;
+        for (let i = queue.length - 1; i >= 0; i--) {
+            if ((queue[i].ts || 0) < cutoff) queue.splice(i, 1);
+        }
+        if (queue.length !== before) {
+            this._log(`Discarded ${before - queue.length} expired queued notifications`);
+            this._saveQueues();
+        }
+    }
 
-        const title = this._cap((String(titleText) || "Discord"), 128) || "Discord";
-        const body  = this._cap((String(contentText) || "(no text)"), 1024);
+    // "12 missed" / "5 DMs from Alice\n7 mentions in #ops"
+    _buildDigest(items, label) {
+        const groups = new Map();
+        let total = 0;
+        for (const item of items) {
+            const s = item.summary || {};
+            const kind = XSOverlayNotifier.DIGEST_NOUNS[s.kind] ? s.kind : "other";
+            const [, prep] = XSOverlayNotifier.DIGEST_NOUNS[kind] || ["notification", "from"];
+            const count = Number(s.count) || 1;
+            const name = prep === "from" ? s.author : s.where;
+            const g = groups.get(kind) || { count: 0, names: [], rank: this._priorityRank(kind) };
+            g.count += count;
+            if (name && !g.names.includes(name)) g.names.push(name);
+            groups.set(kind, g);
+            total += count;
+        }
 
-        const note = this._buildNotification(title, body, timeoutMs, iconBase64, body);
+        const lines = [...groups].sort((a, b) => b[1].rank - a[1].rank).map(([kind, g]) => {
+            const [noun, prep] = XSOverlayNotifier.DIGEST_NOUNS[kind] || ["notification", "from"];
+            const names = g.names.slice(0, 3).join(", ") + (g.names.length > 3 ? ` +${g.names.length - 3}` : "");
+            return `${g.count} ${noun}${g.count === 1 ? "" : "s"}${names ? ` ${prep} ${names}` : ""}`;
+        });
+        const body = lines.join("\n");
+        return this._buildNotification(`${total} ${label}`, body, this.settings.timeoutMs, null, body);
+    }
 
-        setTimeout(() => {
-            this._lastSentAt = Date.now();
-            const envelope = this._buildEnvelope(note);
+    _loadQueues() {
+        if (!this.settings.queuePersist) return;
+        const saved = BdApi.loadData(this.meta.name, "queue");
+        if (!saved || typeof saved !== "object") return;
+        for (const t of this.transports) {
+            const items = Array.isArray(saved[t.id]) ? saved[t.id].filter(i => i?.note) : [];
+            t.queue.splice(0, t.queue.length, ...items.sort((a, b) => (b.rank || 0) - (a.rank || 0)));
+            this._pruneQueue(t.queue);
+        }
+    }
 
-            if (this.connected) {
-                this._sendRaw(envelope);
-            } else {
-                if (this.settings.queueWhileDisconnected) {
-                    if (this.queue.length >= this._maxQueue) this.queue.shift();
-                    this.queue.push(envelope);
-                } else {
-                    if (this.settings.logDebug) this._log("Dropping notification (WS disconnected).");
-                    // dropped intentionally
+    // Debounced. Base64 icons are left out to keep the data file small; restored toasts use the fallback icon.
+    _saveQueues(now = false) {
+        if (this._queueSaveTimer) clearTimeout(this._queueSaveTimer);
+        this._queueSaveTimer = null;
+        const write = () => {
+            const data = {};
+            if (this.settings.queuePersist) {
+                for (const t of this.transports) {
+                    data[t.id] = t.queue.map(item => item.note.useBase64Icon
+                        ? { ...item, note: { ...item.note, useBase64Icon: false, icon: this.settings.fallbackIcon || "" } }
+                        : item);
                 }
             }
-        }, delay);
+            BdApi.saveData(this.meta.name, "queue", data);
+        };
+        if (now) return write();
+        this._queueSaveTimer = setTimeout(() => { this._queueSaveTimer = null; write(); }, 1000);
     }
 
-    _buildNotification(title, content, timeoutMs, iconBase64, forAutoSize) {
+    _clearPending() {
+        if (this._pendingTimer) clearTimeout(this._pendingTimer);
+        this._pendingTimer = null;
+        this._pending.length = 0;
+    }
+
+    // opts: per-notification overrides ({volume, opacity, audioPath, icon}) from a rule or priority level
+    _buildNotification(title, content, timeoutMs, iconBase64, forAutoSize, opts = {}) {
         const timeoutSeconds = Math.max(0.5, (Number(timeoutMs) || this.settings.timeoutMs || 5000) / 1000);
-        const audioPath = this.settings.forceDefaultSound ? "default" : "";
+        const audioPath = opts.audioPath ?? (this.settings.forceDefaultSound ? "default" : "");
 
         // ----- Dynamic height calculation -----
         const h = this.settings.autoHeight
             ? this._estimateHeight(forAutoSize || content || "")
             : Number(this.settings.height) || 175;
 
-        let useBase64Icon = !!iconBase64;
-        let icon = iconBase64 || (this.settings.fallbackIcon || "");
+        // a level or rule icon wins over the avatar/preview; fallbackIcon only fills a gap
+        let useBase64Icon = !opts.icon && !!iconBase64;
+        let icon = opts.icon || iconBase64 || this.settings.fallbackIcon || "";
         if (!useBase64Icon && this.settings.useBase64Icon && typeof icon === "string" && icon.startsWith("data:")) {
             icon = icon.replace(/^data:image\/\w+;base64,/, "");
             useBase64Icon = true;
@@ -479,8 +2959,8 @@ module.exports = class XSOverlayNotifier {
             index: 0,
             timeout: timeoutSeconds,
             height: h,
-            opacity: Math.max(0, Math.min(1, Number(this.settings.opacity) || 1)),
-            volume: Math.max(0, Math.min(1, Number(this.settings.volume) || 0.7)),
+            opacity: opts.opacity ?? Math.max(0, Math.min(1, Number(this.settings.opacity) || 1)),
+            volume: opts.volume ?? Math.max(0, Math.min(1, Number(this.settings.volume) || 0.7)),
             audioPath,
             title,
             content,
@@ -493,6 +2973,11 @@ module.exports = class XSOverlayNotifier {
     // Heuristic: estimate wrapped lines, then convert to pixels with lineHeight,
     // add base padding (icon/title/padding), clamp between minHeight/maxHeight.
     _estimateHeight(text) {
+        return this._estimateLayout(text).height;
+    }
+
+    // { lines, raw (unclamped px), height } — also drives the calibration preview
+    _estimateLayout(text) {
         const s = this.settings;
         const wrapChars = Math.max(20, Number(s.wrapChars) || 38);
         const lineHeight = Math.max(12, Number(s.lineHeight) || 18);
@@ -500,47 +2985,87 @@ module.exports = class XSOverlayNotifier {
         const minH = Math.max(80, Number(s.minHeight) || 140);
         const maxH = Math.max(minH, Number(s.maxHeight) || 520);
 
-        // count visual lines after wrapping
-        let lines = 0;
-        String(text).split("\n").forEach(line => {
-            const len = (line || "").length;
-            const wrapped = Math.max(1, Math.ceil(len / wrapChars));
-            lines += wrapped;
-        });
+        const lines = XSOverlayNotifier.countWrappedLines(text, wrapChars);
+        const raw = Math.round(basePadding + lines * lineHeight);
+        return { lines, raw, height: Math.max(minH, Math.min(maxH, raw)) };
+    }
 
-        const contentHeight = lines * lineHeight;
-        const total = Math.round(basePadding + contentHeight);
-        return Math.max(minH, Math.min(maxH, total));
+    static _segmenter = typeof Intl !== "undefined" && Intl.Segmenter ? new Intl.Segmenter(undefined, { granularity: "grapheme" }) : null;
+
+    // Columns a code point takes in a wrapped line: 2 for CJK/fullwidth/emoji, 0 for joiners and marks
+    static charColumns(cp) {
+        if (cp === 0x200b || cp === 0x200d || (cp >= 0x300 && cp <= 0x36f) || (cp >= 0xfe00 && cp <= 0xfe0f) ||
+            (cp >= 0x1f3fb && cp <= 0x1f3ff) || (cp >= 0xe0020 && cp <= 0xe007f)) return 0;
+        if ((cp >= 0x1100 && cp <= 0x115f) || (cp >= 0x2600 && cp <= 0x27bf) || (cp >= 0x2e80 && cp <= 0xa4cf) ||
+            (cp >= 0xac00 && cp <= 0xd7a3) || (cp >= 0xf900 && cp <= 0xfaff) || (cp >= 0xfe30 && cp <= 0xfe4f) ||
+            (cp >= 0xff00 && cp <= 0xff60) || (cp >= 0xffe0 && cp <= 0xffe6) || (cp >= 0x1f1e6 && cp <= 0x1f1ff) ||
+            (cp >= 0x1f300 && cp <= 0x1faff) || (cp >= 0x20000 && cp <= 0x3fffd)) return 2;
+        return 1;
     }
 
-    _buildEnvelope(notificationObj) {
-        return {
-            sender: this.settings.clientName || "XSOverlayNotifier",
-            target: "xsoverlay",
-            command: "SendNotification",
-            jsonData: JSON.stringify(notificationObj),
-            rawData: null
-        };
+    // A grapheme cluster (ZWJ family, flag, accented letter) is as wide as its widest code point
+    static clusterColumns(cluster) {
+        let w = 0;
+        for (const ch of cluster) w = Math.max(w, XSOverlayNotifier.charColumns(ch.codePointAt(0)));
+        return w;
     }
 
-    _sendRaw(obj) {
-        try {
-            const json = JSON.stringify(obj);
-            if (this.settings.logDebug) this._log("WS ->", json);
-            this.ws?.send(json);
-        } catch (e) {
-            this._log("Send failed", e);
+    // Greedy word wrap measured in columns; wide characters may break anywhere, Latin words
+    // move to the next line whole (or split when longer than a line)
+    static countWrappedLines(text, wrapChars) {
+        const seg = XSOverlayNotifier._segmenter;
+        let total = 0;
+        for (const para of String(text ?? "").split("\n")) {
+            const clusters = seg ? Array.from(seg.segment(para), x => x.segment) : Array.from(para);
+            let lines = 1, col = 0, lastBreak = 0;
+            for (const g of clusters) {
+                const w = XSOverlayNotifier.clusterColumns(g);
+                if (/^\s+$/.test(g)) {
+                    if (col + w > wrapChars) { lines++; col = 0; } else col += w;
+                    lastBreak = col;
+                } else if (w === 2) {
+                    if (col + w > wrapChars) { lines++; col = 0; }
+                    col += w;
+                    lastBreak = col;
+                } else if (col + w > wrapChars) {
+                    lines++;
+                    col = lastBreak > 0 && col - lastBreak + w <= wrapChars ? col - lastBreak + w : w;
+                    lastBreak = 0;
+                } else col += w;
+            }
+            total += lines;
+        }
+        return total;
+    }
+
+    static CALIBRATION_SAMPLES = [
+        ["Short", "Alice", "gg, one more?"],
+        ["Long", "Bob · #general", "Heads up: the server restarts at 21:00 tonight for the update, so finish whatever you're doing before then. Queue times should be back to normal afterwards, and the new map rotation goes live at the same time."],
+        ["Multiline", "Carol", "Shopping list:\n- milk\n- eggs\n- bread\n- coffee (the good one)"],
+        ["Emoji", "Dave", "🎉🎉 we won!! 🔥🔥🔥 GG everyone 👨‍👩‍👧‍👦 🇯🇵 ❤️❤️❤️ see you tomorrow 😴😴"],
+        ["CJK", "さくら", "今日はとても楽しかったです。また明日一緒に遊びましょう！明日は何時から始めますか？夜九時くらいなら大丈夫です。"]
+    ];
+
+    // Sends the calibration samples through the normal pacing, so they arrive one by one
+    _sendCalibrationSamples(labels = null) {
+        for (const [label, title, content] of XSOverlayNotifier.CALIBRATION_SAMPLES) {
+            if (labels && !labels.includes(label)) continue;
+            this._sendToOverlay(title, content, this.settings.timeoutMs);
         }
     }
 
     /* ============================== Avatar fetch ============================== */
 
+    // Cached, deduplicated and deadline-bound: resolves null when the avatar isn't
+    // ready in avatarFetchTimeoutMs, so the toast goes out with the fallback icon.
+    // A late download still lands in the cache for the next message.
     async _fetchAuthorAvatarBase64(message) {
         const author = message?.author;
         if (!author?.id) return null;
 
-        let url;
+        let key, url;
         if (author.avatar) {
+            key = `${author.id}:${author.avatar}`;
             url = `https://cdn.discordapp.com/avatars/${author.id}/${author.avatar}.png?size=128`;
         } else {
             let idx = 0;
@@ -549,18 +3074,213 @@ module.exports = class XSOverlayNotifier {
             } else {
                 try { idx = Number(BigInt(author.id) % 5n); } catch { idx = 0; }
             }
+            key = `default:${idx}`;
             url = `https://cdn.discordapp.com/embed/avatars/${idx}.png`;
         }
 
-        const base64 = await this._fetchImageAsBase64(url);
-        return base64; // raw base64 (no data: prefix)
+        const cached = this._avatarCacheGet(key);
+        if (cached) return cached;
+
+        let pending = this._avatarInflight.get(key);
+        if (!pending) {
+            const started = Date.now();
+            pending = this._fetchImageAsBase64(url, { timeoutMs: 10000 })
+                .then(base64 => { this._countAvatarFetch(started, true); this._avatarCachePut(key, base64); return base64; },
+                    e => { this._countAvatarFetch(started, false); throw e; })
+                .finally(() => this._avatarInflight.delete(key));
+            this._avatarInflight.set(key, pending);
+        }
+
+        const deadline = Math.max(0, Number(this.settings.avatarFetchTimeoutMs) || 0);
+        if (!deadline) return pending; // raw base64 (no data: prefix)
+        let timer;
+        const late = new Promise(resolve => { timer = setTimeout(() => resolve(null), deadline); });
+        pending.catch(() => {}); // no unhandled rejection if it fails after the deadline
+        try {
+            const base64 = await Promise.race([pending, late]);
+            if (base64 == null) this._log(`Avatar not ready after ${deadline}ms, using fallback icon`);
+            return base64;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    _avatarCacheGet(key) {
+        const hit = this._avatarCache.get(key);
+        if (hit == null) return null;
+        this._avatarCache.delete(key); // refresh LRU position
+        this._avatarCache.set(key, hit);
+        return hit;
+    }
+
+    _avatarCachePut(key, base64, persist = true) {
+        if (!base64) return;
+        const budget = Math.max(0, Number(this.settings.avatarCacheMaxBytes) || 0);
+        if (base64.length > budget) return;
+        if (this._avatarCache.has(key)) this._avatarCacheBytes -= this._avatarCache.get(key).length;
+        this._avatarCache.delete(key);
+        this._avatarCache.set(key, base64);
+        this._avatarCacheBytes += base64.length;
+        for (const [oldKey, old] of this._avatarCache) {
+            if (this._avatarCacheBytes <= budget) break;
+            this._avatarCache.delete(oldKey);
+            this._avatarCacheBytes -= old.length;
+        }
+        if (persist && this.settings.avatarCacheDisk) this._saveAvatarCache();
+    }
+
+    _clearAvatarCache() {
+        this._avatarCache.clear();
+        this._avatarCacheBytes = 0;
+        this._saveAvatarCache(true);
+    }
+
+    // Its own file beside the plugin config: saveData would rewrite the whole shared config
+    // (settings, queue, history) with up to avatarCacheMaxBytes of base64 on every save.
+    _avatarCacheFile() {
+        try {
+            const folder = BdApi.Plugins?.folder;
+            return folder ? require("path").join(folder, `${this.meta.name}.avatars.json`) : null;
+        } catch {
+            return null;
+        }
+    }
+
+    _loadAvatarCache() {
+        let saved = null;
+        const file = this._avatarCacheFile();
+        if (file) {
+            try {
+                saved = JSON.parse(require("fs").readFileSync(file, "utf8"));
+            } catch (e) {
+                if (e?.code !== "ENOENT") this._log("Avatar cache unreadable", e?.message || e);
+            }
+        }
+        // Older versions kept it in the shared config; move it over once
+        const legacy = BdApi.loadData(this.meta.name, "avatars");
+        if (legacy !== undefined) {
+            BdApi.deleteData(this.meta.name, "avatars");
+            if (legacy && typeof legacy === "object") saved = { ...legacy, ...saved };
+        }
+        if (!saved || typeof saved !== "object") return;
+        for (const [key, base64] of Object.entries(saved)) {
+            if (typeof base64 === "string") this._avatarCachePut(key, base64, false);
+        }
+        if (legacy) this._saveAvatarCache();
+    }
+
+    _saveAvatarCache(now = false) {
+        if (this._avatarSaveTimer) clearTimeout(this._avatarSaveTimer);
+        this._avatarSaveTimer = null;
+        const write = () => {
+            const file = this._avatarCacheFile();
+            if (!file) return;
+            try {
+                const fs = require("fs");
+                if (this.settings.avatarCacheDisk && this._avatarCache.size) fs.writeFileSync(file, JSON.stringify(Object.fromEntries(this._avatarCache)));
+                else fs.rmSync(file, { force: true });
+            } catch (e) {
+                this._log("Avatar cache not saved", e?.message || e);
+            }
+        };
+        if (now) return write();
+        this._avatarSaveTimer = setTimeout(() => { this._avatarSaveTimer = null; write(); }, 5000);
+    }
+
+    /* ============================= Image previews ============================= */
+
+    _previewTypes() {
+        return String(this.settings.imagePreviewTypes || "").split(",").map(t => t.trim().toLowerCase()).filter(Boolean);
+    }
+
+    // Picks the first previewable image: attachment, then embed image/thumbnail, then sticker.
+    _previewImageUrl(message, ch) {
+        const s = this.settings;
+        const nsfw = !!(ch?.nsfw || ch?.isNSFW?.());
+        if (nsfw && !s.imagePreviewNsfw) return null;
+
+        const types = this._previewTypes();
+        const cap = Math.max(32, Number(s.imagePreviewSize) || 256);
+        const extType = name => {
+            const ext = String(name || "").split(/[?#]/)[0].split(".").pop().toLowerCase();
+            return { png: "image/png", jpg: "image/jpeg", jpeg: "image/jpeg", gif: "image/gif", webp: "image/webp" }[ext] || "";
+        };
+
+        for (const a of message?.attachments || []) {
+            const type = String(a.content_type || extType(a.filename)).split(";")[0].toLowerCase();
+            if (!types.includes(type)) continue;
+            const spoiler = a.spoiler || String(a.filename || "").startsWith("SPOILER_");
+            if (spoiler && !s.imagePreviewSpoilers) return null;
+            return this._scaledMediaUrl(a.proxy_url || a.url, a.width, a.height, cap);
+        }
+
+        // A spoilered link still produces an embed, so hide embeds whenever the text has spoilers
+        const hasSpoiler = /\|\|[\s\S]+?\|\|/.test(message?.content || "");
+        for (const e of message?.embeds || []) {
+            if (hasSpoiler && !s.imagePreviewSpoilers) break;
+            const img = e.image || e.thumbnail;
+            const url = img?.proxy_url || img?.proxyURL || img?.url;
+            if (url) return this._scaledMediaUrl(url, img.width, img.height, cap);
+        }
+
+        const sticker = message?.sticker_items?.[0];
+        if (sticker?.id && sticker.format_type !== 3) { // 3: Lottie (vector, not an image)
+            const ext = sticker.format_type === 4 ? "gif" : "png";
+            if (types.includes(`image/${ext}`)) return `https://media.discordapp.net/stickers/${sticker.id}.${ext}?size=${Math.min(320, cap)}`;
+        }
+        return null;
+    }
+
+    // Asks Discord's media proxy for a copy that fits within cap x cap
+    _scaledMediaUrl(url, width, height, cap) {
+        try {
+            const u = new URL(url);
+            if (!/(^|\.)discordapp\.(net|com)$/.test(u.hostname)) return url;
+            const w = Number(width) || 0, h = Number(height) || 0;
+            if (w && h && Math.max(w, h) > cap) {
+                const scale = cap / Math.max(w, h);
+                u.searchParams.set("width", String(Math.max(1, Math.round(w * scale))));
+                u.searchParams.set("height", String(Math.max(1, Math.round(h * scale))));
+            }
+            return u.toString();
+        } catch {
+            return url;
+        }
+    }
+
+    // Bound by the same deadline as avatars (10s when that is 0 = wait): a stalled
+    // download aborts and the caller falls back to the avatar instead of holding the toast
+    async _fetchPreviewBase64(message, ch) {
+        const url = this._previewImageUrl(message, ch);
+        if (!url) return null;
+        return this._fetchImageAsBase64(url, {
+            maxBytes: Math.max(1024, Number(this.settings.imagePreviewMaxBytes) || 1500000),
+            types: this._previewTypes(),
+            timeoutMs: Math.max(0, Number(this.settings.avatarFetchTimeoutMs) || 0) || 10000
+        });
+    }
+
+    // limits: { maxBytes, types, timeoutMs } - size/type enforced on headers first, then on the body actually received
+    async _fetchImageAsBase64(url, limits = {}) {
+        const ctrl = limits.timeoutMs ? new AbortController() : null;
+        const timer = ctrl ? setTimeout(() => ctrl.abort(), limits.timeoutMs) : null;
+        try {
+            return await this._downloadBase64(url, limits, ctrl?.signal);
+        } finally {
+            if (timer) clearTimeout(timer);
+        }
     }
 
-    async _fetchImageAsBase64(url) {
-        const res = await fetch(url);
+    async _downloadBase64(url, limits, signal) {
+        const res = await fetch(url, signal ? { signal } : undefined);
         if (!res.ok) throw new Error(`HTTP ${res.status}`);
-        const buf = await res.arrayBuffer();
-        const bytes = new Uint8Array(buf);
+        if (limits.types?.length) {
+            const type = String(res.headers?.get?.("content-type") || "").split(";")[0].trim().toLowerCase();
+            if (!limits.types.includes(type)) throw new Error(`Blocked content-type ${type || "(none)"}`);
+        }
+        const declared = Number(res.headers?.get?.("content-length")) || 0;
+        if (limits.maxBytes && declared > limits.maxBytes) throw new Error(`Image too large (${declared} bytes)`);
+        const bytes = await this._readBody(res, limits.maxBytes);
         let binary = "";
         const chunk = 0x8000;
         for (let i = 0; i < bytes.length; i += chunk) {
@@ -569,40 +3289,677 @@ module.exports = class XSOverlayNotifier {
         return btoa(binary);
     }
 
-    /* ================================= Utils ================================== */
+    // Reads the body in chunks and cancels the download as soon as it passes maxBytes,
+    // so a missing or false content-length can't make it buffer the whole file
+    async _readBody(res, maxBytes) {
+        const reader = maxBytes ? res.body?.getReader?.() : null;
+        if (!reader) {
+            const buf = await res.arrayBuffer();
+            if (maxBytes && buf.byteLength > maxBytes) throw new Error(`Image too large (${buf.byteLength} bytes)`);
+            return new Uint8Array(buf);
+        }
+        const chunks = [];
+        let total = 0;
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            total += value.byteLength;
+            if (total > maxBytes) {
+                reader.cancel().catch(() => {});
+                throw new Error(`Image too large (over ${maxBytes} bytes)`);
+            }
+            chunks.push(value);
+        }
+        const bytes = new Uint8Array(total);
+        let offset = 0;
+        for (const chunk of chunks) {
+            bytes.set(chunk, offset);
+            offset += chunk.byteLength;
+        }
+        return bytes;
+    }
+
+    /* ================================ Markdown ================================ */
+
+    /**
+     * Converts Discord-flavored markdown to plain toast text. Pure: all lookups go
+     * through `resolve` ({ user(id), role(id), channel(id), locale, timeZone, now }),
+     * so it can be exercised without Discord loaded.
+     */
+    static markdownToText(input, resolve = {}) {
+        const stash = [];
+        const keep = str => `\u0000${stash.push(String(str)) - 1}\u0000`;
+        const lookup = (fn, id) => { try { return typeof fn === "function" ? fn(id) : null; } catch { return null; } };
+
+        let s = String(input ?? "").replace(/\u0000/g, "").replace(/\r\n?/g, "\n");
+
+        // Literal regions first so nothing inside them is treated as markup
+        s = s.replace(/```(?:[\w+.#-]+\n)?([\s\S]*?)```/g, (_, code) => keep(code.replace(/^\n+|\n+$/g, "")));
+        s = s.replace(/``([^`][\s\S]*?)``|`([^`\n]+)`/g, (_, a, b) => keep((a ?? b).trim()));
+        s = s.replace(/\\([*_~`|>#\-\\[\]()<:@.])/g, (_, c) => keep(c));
+
+        s = s.replace(/\|\|([\s\S]+?)\|\|/g, "[spoiler]");
+
+        // Discord tags
+        s = s.replace(/<a?:(\w+):\d+>/g, (_, name) => keep(`:${name}:`));
+        s = s.replace(/<@!?(\d+)>/g, (_, id) => keep(`@${lookup(resolve.user, id) || "unknown-user"}`));
+        s = s.replace(/<@&(\d+)>/g, (_, id) => keep(`@${lookup(resolve.role, id) || "deleted-role"}`));
+        s = s.replace(/<#(\d+)>/g, (_, id) => keep(`#${lookup(resolve.channel, id) || "unknown-channel"}`));
+        s = s.replace(/<\/([\w -]+):\d+>/g, (_, name) => keep(`/${name}`));
+        s = s.replace(/<t:(-?\d+)(?::([tTdDfFR]))?>/g, (_, ts, style) => keep(XSOverlayNotifier.formatTimestamp(Number(ts), style, resolve)));
+
+        // Links: masked text wins, URLs are kept verbatim
+        s = s.replace(/\[([^\]\n]+)\]\(\s*<?[^)\s>]+>?\s*\)/g, "$1");
+        s = s.replace(/<(https?:\/\/[^\s>]+)>/g, (_, url) => keep(url));
+        // a bare URL stops before trailing *, _, ~ or | so **https://x** still unwraps
+        s = s.replace(/https?:\/\/[^\s<]+?(?=[*_~|]*(?:[\s<]|$))/g, url => keep(url));
+
+        // Line-level syntax: quotes, headers/subtext, bullet lists
+        s = s.split("\n").map(line => line
+            .replace(/^>>> ?|^> /, "")
+            .replace(/^(?:#{1,3}|-#) +/, "")
+            .replace(/^(\s*)[-*] +/, "$1• ")
+        ).join("\n");
+
+        // Inline emphasis; repeat so nested styles (e.g. **__x__**) unwrap fully
+        const inline = [
+            [/\*\*\*(?=\S)([\s\S]*?\S)\*\*\*/g, "$1"],
+            [/\*\*(?=\S)([\s\S]*?\S)\*\*/g, "$1"],
+            [/__(?=\S)([\s\S]*?\S)__(?!_)/g, "$1"],
+            [/~~(?=\S)([\s\S]*?\S)~~/g, "$1"],
+            [/\*(?=\S)([^*\n]*?\S)\*/g, "$1"],
+            [/(^|[^\w])_(?=\S)([^_\n]*?\S)_(?!\w)/g, "$1$2"]
+        ];
+        for (let pass = 0; pass < 3; pass++) {
+            const before = s;
+            for (const [re, to] of inline) s = s.replace(re, to);
+            if (s === before) break;
+        }
 
-    _sanitize(text = "") {
-        return String(text)
-            .replace(/<a?:\w+:\d+>/g, " ")          // custom emoji
-            .replace(/<@!?(\d+)>/g, "@mention")      // user mentions
-            .replace(/<@&(\d+)>/g, "@role")          // role mentions
-            .replace(/<#(\d+)>/g, "#channel")        // channel mentions
-            .replace(/\*{1,3}([^*]+)\*{1,3}/g, "$1") // *italic*, **bold**, ***bold+it***
-            .replace(/`{1,3}([^`]+)`{1,3}/g, "$1")   // code spans/blocks
-            .replace(/\[(.*?)\]\((.*?)\)/g, "$1")    // markdown links
+        return s
+            .replace(/\u0000(\d+)\u0000/g, (_, i) => stash[Number(i)])
             .replace(/\u200B/g, "")                  // zero-width
-            .replace(/\r\n/g, "\n")
             .replace(/^\s+|\s+$/g, "")
             .replace(/^\n+/, "")
             .replace(/\n+$/, "")
             .replace(/\n{2,}/g, "\n");
     }
 
+    // Renders <t:unix:style> the way the client does for styles t/T/d/D/f/F/R
+    static formatTimestamp(seconds, style = "f", resolve = {}) {
+        if (!Number.isFinite(seconds)) return "";
+        const date = new Date(seconds * 1000);
+        const locale = resolve.locale || undefined;
+        const base = resolve.timeZone ? { timeZone: resolve.timeZone } : {};
+        try {
+            if (style === "R") {
+                const now = resolve.now ?? Date.now();
+                const diff = (date.getTime() - now) / 1000;
+                const units = [["year", 31536000], ["month", 2592000], ["day", 86400], ["hour", 3600], ["minute", 60], ["second", 1]];
+                const [unit, size] = units.find(([, sec]) => Math.abs(diff) >= sec) || units[units.length - 1];
+                return new Intl.RelativeTimeFormat(locale, { numeric: "auto" }).format(Math.round(diff / size), unit);
+            }
+            const formats = {
+                t: { hour: "numeric", minute: "2-digit" },
+                T: { hour: "numeric", minute: "2-digit", second: "2-digit" },
+                d: { year: "numeric", month: "2-digit", day: "2-digit" },
+                D: { year: "numeric", month: "long", day: "numeric" },
+                f: { year: "numeric", month: "long", day: "numeric", hour: "numeric", minute: "2-digit" },
+                F: { weekday: "long", year: "numeric", month: "long", day: "numeric", hour: "numeric", minute: "2-digit" }
+            };
+            return new Intl.DateTimeFormat(locale, { ...base, ...(formats[style] || formats.f) }).format(date);
+        } catch {
+            return date.toISOString();
+        }
+    }
+
+    _markdownResolvers(guildId) {
+        return {
+            user: id => {
+                const member = guildId ? this.GuildMemberStore?.getMember?.(guildId, id) : null;
+                const user = this.UserStore?.getUser?.(id);
+                return member?.nick || user?.globalName || user?.username;
+            },
+            role: id => {
+                const name = guildId ? this._roleName(guildId, id) : "";
+                return name === "role" ? "" : name;
+            },
+            channel: id => this.ChannelStore?.getChannel?.(id)?.name
+        };
+    }
+
+    /* ========================== Settings and profiles ========================= */
+
+    _migrateSettings(raw) {
+        let s = raw && typeof raw === "object" && !Array.isArray(raw) ? { ...raw } : {};
+        const steps = XSOverlayNotifier.SETTINGS_MIGRATIONS;
+        const from = Math.max(0, Number(s.settingsVersion) || 0);
+        if (from > XSOverlayNotifier.SETTINGS_VERSION) this._log(`Settings are from a newer version (${from}); unknown keys will be dropped`);
+        for (let v = from; v < steps.length; v++) s = steps[v](s) || s;
+        s.settingsVersion = XSOverlayNotifier.SETTINGS_VERSION;
+        return s;
+    }
+
+    _clampSetting(k, num) {
+        const lim = XSOverlayNotifier.SETTINGS_LIMITS[k];
+        if (!lim) return num;
+        const n = Math.min(lim[1], Math.max(lim[0], num));
+        return lim[2] ? Math.round(n) : n;
+    }
+
+    // Known keys only: wrong types fall back to the default, numbers are clamped, list items get
+    // every field. Returns { settings, problems } where problems are human-readable notes.
+    _validateSettings(raw) {
+        const problems = [];
+        const out = { settingsVersion: XSOverlayNotifier.SETTINGS_VERSION };
+        const copy = v => JSON.parse(JSON.stringify(v));
+        const isObj = v => v && typeof v === "object" && !Array.isArray(v);
+
+        for (const [k, def] of Object.entries(this.defaultSettings)) {
+            const v = raw[k];
+            if (v === undefined) { out[k] = copy(def); continue; }
+            if (typeof def === "number") {
+                const num = typeof v === "string" && v.trim() === "" ? NaN : Number(v);
+                if (!Number.isFinite(num)) { problems.push(`${k}: not a number, reset to ${def}`); out[k] = def; continue; }
+                out[k] = this._clampSetting(k, num);
+                if (out[k] !== num) problems.push(`${k}: ${num} clamped to ${out[k]}`);
+            } else if (typeof def === "boolean") {
+                if (typeof v !== "boolean") problems.push(`${k}: not true/false, reset to ${def}`);
+                out[k] = typeof v === "boolean" ? v : def;
+            } else if (typeof def === "string") {
+                const choices = XSOverlayNotifier.SETTINGS_CHOICES[k];
+                if (typeof v !== "string" && typeof v !== "number") { problems.push(`${k}: not text, reset`); out[k] = def; }
+                else if (choices && !choices.includes(String(v))) { problems.push(`${k}: "${v}" is not one of ${choices.join("/")}, reset to "${def}"`); out[k] = def; }
+                else out[k] = String(v);
+            } else if (Array.isArray(def)) {
+                if (!Array.isArray(v)) problems.push(`${k}: not a list, reset`);
+                out[k] = Array.isArray(v) ? copy(v) : copy(def);
+            } else {
+                if (!isObj(v)) problems.push(`${k}: not an object, reset`);
+                out[k] = isObj(v) ? copy(v) : copy(def);
+            }
+        }
+        for (const k of Object.keys(raw)) {
+            if (k !== "settingsVersion" && !(k in this.defaultSettings)) problems.push(`${k}: unknown setting, ignored`);
+        }
+
+        // list items and per-level overrides: fill missing fields, blank out bad numbers
+        const overrides = (label, entry) => {
+            for (const k of ["timeoutMs", "volume", "opacity"]) {
+                if (entry[k] === "" || entry[k] == null) { entry[k] = ""; continue; }
+                const num = Number(entry[k]);
+                if (!Number.isFinite(num)) { problems.push(`${label} ${k}: not a number, cleared`); entry[k] = ""; }
+                else entry[k] = this._clampSetting(k, num);
+            }
+            return entry;
+        };
+        const items = (k, make) => {
+            const list = out[k].filter(isObj);
+            if (list.length !== out[k].length) problems.push(`${k}: dropped ${out[k].length - list.length} malformed entr${out[k].length - list.length === 1 ? "y" : "ies"}`);
+            return list.map(x => ({ ...make(), ...x }));
+        };
+        out.rules = items("rules", XSOverlayNotifier.newRule).map((r, i) => overrides(`rule ${i + 1}`, r));
+        out.keywords = items("keywords", XSOverlayNotifier.newKeyword);
+        out.schedules = items("schedules", XSOverlayNotifier.newSchedule);
+        out.targets = this._normalizeTargets(items("targets", XSOverlayNotifier.newTarget));
+        out.cannedReplies = out.cannedReplies.filter(x => typeof x === "string");
+        out.ttsPriorities = out.ttsPriorities.filter(x => XSOverlayNotifier.PRIORITY_LEVELS.some(([level]) => level === x));
+        out.templates = Object.fromEntries(["dm", "group", "guild"].map(kind => {
+            const t = { ...XSOverlayNotifier.newTemplate(), ...(isObj(out.templates[kind]) ? out.templates[kind] : {}) };
+            for (const k of ["title", "body"]) if (typeof t[k] !== "string") { problems.push(`${kind} template ${k}: not text, reset`); t[k] = XSOverlayNotifier.newTemplate()[k]; }
+            return [kind, t];
+        }));
+        out.priorities = Object.fromEntries(XSOverlayNotifier.PRIORITY_LEVELS.map(([level]) =>
+            [level, overrides(`priority ${level}`, { ...XSOverlayNotifier.newPriority(), ...(isObj(out.priorities[level]) ? out.priorities[level] : {}) })]));
+
+        if (out.minHeight > out.maxHeight) {
+            problems.push(`minHeight ${out.minHeight} > maxHeight ${out.maxHeight}, swapped`);
+            [out.minHeight, out.maxHeight] = [out.maxHeight, out.minHeight];
+        }
+        return { settings: out, problems };
+    }
+
+    // Also run on every edit in the targets panel: port clamped (blank = default), host trimmed,
+    // unknown filters reset, and each target gets a unique id
+    _normalizeTargets(list) {
+        const defaults = XSOverlayNotifier.newTarget();
+        const ids = new Set();
+        return list.map((raw, i) => {
+            const t = { ...defaults, ...raw };
+            for (const k of ["name", "host", "clientName"]) t[k] = typeof t[k] === "string" ? t[k].trim() : "";
+            t.host ||= defaults.host;
+            const port = Number(t.port);
+            t.port = t.port === "" || t.port == null || !Number.isFinite(port) ? defaults.port : this._clampSetting("port", port);
+            if (!(t.filter in XSOverlayTransport.FILTERS)) t.filter = "all";
+            t.enabled = t.enabled !== false;
+            if (!t.id || typeof t.id !== "string" || ids.has(t.id)) t.id = i === 0 && !ids.has("xsoverlay") ? "xsoverlay" : this._newTargetId();
+            ids.add(t.id);
+            return t;
+        });
+    }
+
+    _profileSnapshot() {
+        const snap = JSON.parse(JSON.stringify(this.settings));
+        for (const k of XSOverlayNotifier.SETTINGS_LOCAL) delete snap[k];
+        return snap;
+    }
+
+    _saveProfiles() {
+        BdApi.saveData(this.meta.name, "profiles", this._profiles);
+    }
+
+    _saveProfile(name) {
+        name = String(name || "").trim();
+        if (!name) return false;
+        this._profiles[name] = this._profileSnapshot();
+        this._saveProfiles();
+        this.settings.activeProfile = name;
+        this._save();
+        return true;
+    }
+
+    _deleteProfile(name) {
+        delete this._profiles[name];
+        this._saveProfiles();
+        if (this.settings.activeProfile === name) { this.settings.activeProfile = ""; this._save(); }
+    }
+
+    // Returns the problems found in the stored profile (an empty array when it applied cleanly)
+    _applyProfile(name) {
+        const snap = this._profiles[name];
+        if (!snap) throw new Error(`No profile named "${name}"`);
+        const problems = this._replaceSettings(snap);
+        this.settings.activeProfile = name;
+        this._save();
+        this._log(`Switched to profile "${name}"`);
+        return problems;
+    }
+
+    // Swaps in a whole settings object (profile or import), keeping machine-local state,
+    // then reconnects since hosts/ports/outputs may have changed. Queues survive.
+    _replaceSettings(raw) {
+        const { settings, problems } = this._validateSettings(this._migrateSettings(raw));
+        for (const k of XSOverlayNotifier.SETTINGS_LOCAL) settings[k] = this.settings[k];
+        this.settings = settings;
+        this._keywordCache.clear();
+        this._save();
+        this._disconnect(true, true);
+        this._syncTargets();
+        if (this.settings.autoConnect) this._connect(true);
+        this._restartActions();
+        return problems;
+    }
+
+    _exportSettings() {
+        return JSON.stringify({
+            plugin: this.meta.name,
+            version: this.meta.version,
+            settingsVersion: XSOverlayNotifier.SETTINGS_VERSION,
+            settings: this._profileSnapshot(),
+            profiles: this._profiles
+        }, null, 2);
+    }
+
+    // Accepts an _exportSettings() document or a bare settings object. Throws on unreadable
+    // input; otherwise returns the problems that were repaired.
+    _importSettings(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error(`Not valid JSON: ${e.message}`);
+        }
+        if (!data || typeof data !== "object" || Array.isArray(data)) throw new Error("Expected a JSON object");
+
+        const wrapped = data.settings && typeof data.settings === "object" && !Array.isArray(data.settings);
+        const version = data.settingsVersion;
+        const problems = this._replaceSettings(wrapped ? { settingsVersion: version, ...data.settings } : data);
+        if (wrapped && data.profiles && typeof data.profiles === "object") {
+            for (const [name, snap] of Object.entries(data.profiles)) {
+                if (snap && typeof snap === "object" && !Array.isArray(snap)) this._profiles[name] = { settingsVersion: version, ...snap };
+            }
+            this._saveProfiles();
+        }
+        this._log("Settings imported", problems);
+        return problems;
+    }
+
+    /* ============================== Text-to-speech ============================ */
+
+    // What to read for a toast (opts.speech), or "" if its rule or priority doesn't ask for it.
+    // Built from the item after privacy/redaction, so nothing is spoken that the toast hides;
+    // _deliverNote reads it only once the toast is actually sent.
+    _speechFor(item, priority, rule = null) {
+        const s = this.settings;
+        if (!s.ttsEnabled || rule?.tts === "off") return "";
+        if (rule?.tts !== "on" && !s.ttsPriorities.includes(priority)) return "";
+        return item.line ? `${item.author}: ${this._ttsShorten(item.line)}` : item.title;
+    }
+
+    // ttsPerMinute over a sliding minute; checked before sending, counted when spoken
+    _speechAllowed() {
+        const now = Date.now();
+        this._ttsTimes = this._ttsTimes.filter(t => now - t < 60000);
+        if (this._ttsTimes.length < this.settings.ttsPerMinute) return true;
+        this._log(`TTS skipped: over ${this.settings.ttsPerMinute}/min`);
+        return false;
+    }
+
+    // Links and code blocks read badly; the rest is the sanitized toast text
+    _ttsShorten(text) {
+        const max = Number(this.settings.ttsMaxChars) || 140;
+        let out = String(text)
+            .replace(/```[\s\S]*?```/g, " code block ")
+            .replace(/https?:\/\/\S+/g, " link ")
+            .replace(/\s+/g, " ")
+            .trim();
+        if (out.length > max) {
+            const space = out.lastIndexOf(" ", max);
+            out = (space > max / 2 ? out.slice(0, space) : out.slice(0, max)) + "…";
+        }
+        return out;
+    }
+
+    _speak(text) {
+        if (!text || typeof speechSynthesis === "undefined" || typeof SpeechSynthesisUtterance === "undefined") return false;
+        this._ttsQueue.push(text);
+        if (this._ttsQueue.length > 5) this._ttsQueue.shift();
+        this._ttsNext();
+        return true;
+    }
+
+    _ttsNext() {
+        if (this._ttsCurrent || !this._ttsQueue.length) return;
+        const utterance = new SpeechSynthesisUtterance(this._ttsQueue.shift());
+        const voice = this.settings.ttsVoice && speechSynthesis.getVoices().find(v => v.voiceURI === this.settings.ttsVoice);
+        if (voice) utterance.voice = voice;
+        utterance.rate = Number(this.settings.ttsRate) || 1;
+
+        // onend is not guaranteed (Chromium drops it on some voice errors)
+        const done = () => {
+            if (this._ttsCurrent?.utterance !== utterance) return;
+            clearTimeout(this._ttsCurrent.watchdog);
+            this._ttsCurrent = null;
+            this._ttsNext();
+        };
+        utterance.onend = done;
+        utterance.onerror = e => { this._log("TTS error", e?.error || e); done(); };
+        this._ttsCurrent = { utterance, watchdog: setTimeout(done, 30000) };
+        speechSynthesis.speak(utterance);
+    }
+
+    _stopSpeech() {
+        this._ttsQueue = [];
+        if (this._ttsCurrent) clearTimeout(this._ttsCurrent.watchdog);
+        this._ttsCurrent = null;
+        if (typeof speechSynthesis !== "undefined") speechSynthesis.cancel();
+    }
+
+    /* ================================= Actions ================================ */
+
+    // Hotkeys only fire while Discord has focus; the HTTP endpoint is for everything else
+    // (controller bindings, XSOverlay/OVR Toolkit macros, a Stream Deck...).
+    _startActions() {
+        if (!this.settings.actionsEnabled) return;
+        if (this.settings.actionHotkeys && typeof document !== "undefined") document.addEventListener("keydown", this._onActionKey);
+        this._startActionServer();
+    }
+
+    _stopActions() {
+        if (typeof document !== "undefined") document.removeEventListener("keydown", this._onActionKey);
+        if (this._actionServer) {
+            try { this._actionServer.close(); } catch {}
+            this._actionServer = null;
+        }
+    }
+
+    _restartActions() {
+        this._stopActions();
+        this._startActions();
+    }
+
+    _rememberTarget(title, meta) {
+        if (!meta?.channelId) return;
+        this._actionTargets.push({
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+            ts: Date.now(),
+            title,
+            channelId: meta.channelId,
+            messageId: meta.messageId ?? null,
+            guildId: meta.guildId ?? null
+        });
+        if (this._actionTargets.length > 20) this._actionTargets.shift();
+    }
+
+    // The newest toast unless an ID from GET /actions picks an older one
+    _actionTarget(id = null) {
+        const list = this._actionTargets;
+        const target = id ? list.find(t => t.id === id) : list[list.length - 1];
+        if (!target) throw new Error(id ? `No recent notification ${id}` : "No recent notification to act on");
+        return target;
+    }
+
+    // number: 1-based, as shown in the panel and used by the hotkeys
+    async _quickReply(number, targetId = null) {
+        const text = String(this.settings.cannedReplies[Number(number) - 1] ?? "").trim();
+        if (!text) throw new Error(`No canned reply #${number}`);
+        const target = this._actionTarget(targetId);
+        if (typeof this.MessageActions?.sendMessage !== "function") throw new Error("Discord's message module was not found");
+        await this.MessageActions.sendMessage(target.channelId, { content: text, tts: false, invalidEmojis: [], validNonShortcutEmojis: [] }, undefined, {});
+        this._log(`Quick reply #${number} sent to ${target.channelId}`);
+        this._sendToOverlay("Reply sent", `${target.title}: ${text}`, 2500, null, { audioPath: "" });
+        return target;
+    }
+
+    _markRead(targetId = null) {
+        const target = this._actionTarget(targetId);
+        const acks = this.ReadStateActions;
+        if (typeof acks?.bulkAck === "function") acks.bulkAck([{ channelId: target.channelId, messageId: target.messageId }]);
+        else if (typeof acks?.ack === "function") acks.ack(target.channelId);
+        else throw new Error("Discord's read-state module was not found");
+        this._log(`Marked ${target.channelId} read`);
+        this._sendToOverlay("Marked as read", target.title, 2000, null, { audioPath: "" });
+        return target;
+    }
+
+    // Windows reports AltGr as Ctrl+Alt, so AltGr+2 (@ on Spanish layouts) must not fire a reply;
+    // keys typed into a text field are left alone as well
+    _onActionKey(e) {
+        if (!e.ctrlKey || !e.altKey || e.shiftKey || e.metaKey) return;
+        if (e.getModifierState?.("AltGraph")) return;
+        const target = e.target;
+        if (target?.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target?.tagName || "")) return;
+        const digit = /^Digit(\d)$/.exec(e.code || "")?.[1];
+        if (digit == null) return;
+        e.preventDefault();
+        const run = digit === "0" ? Promise.resolve().then(() => this._markRead()) : this._quickReply(Number(digit));
+        run.catch(err => this._log("Action failed", err?.message || err));
+    }
+
+    // Never throws: a missing http module or a failing createServer/listen only sets _actionError
+    _startActionServer() {
+        if (this._actionServer) return;
+        const fail = e => {
+            this._actionError = e?.message || String(e);
+            this._log("Action endpoint failed", this._actionError);
+        };
+        let server = null;
+        try {
+            const http = require("http");
+            if (!this.settings.actionToken) {
+                this.settings.actionToken = this._newActionToken();
+                this._save();
+            }
+            const port = Number(this.settings.actionPort) || this.defaultSettings.actionPort;
+            server = http.createServer((req, res) => this._onActionRequest(req, res));
+            server.on("error", e => {
+                fail(e);
+                if (this._actionServer === server) this._actionServer = null;
+            });
+            this._actionServer = server;
+            server.listen(port, "127.0.0.1", () => {
+                this._actionError = "";
+                this._log(`Action endpoint listening on 127.0.0.1:${server.address()?.port}`);
+            });
+        } catch (e) {
+            fail(e);
+            try { server?.close(); } catch {}
+            this._actionServer = null;
+        }
+    }
+
+    _newActionToken() {
+        const bytes = new Uint8Array(16);
+        crypto.getRandomValues(bytes);
+        return Array.from(bytes, b => b.toString(16).padStart(2, "0")).join("");
+    }
+
+    // GET|POST /actions, /reply?index=N, /read; optional &target=<id from /actions>.
+    // Loopback only, with the token as ?token= or "Authorization: Bearer"; the Host check
+    // stops web pages reaching it through DNS rebinding.
+    async _onActionRequest(req, res) {
+        const reply = (status, body) => {
+            res.writeHead(status, { "Content-Type": "application/json" });
+            res.end(JSON.stringify(body));
+        };
+        try {
+            const url = new URL(req.url || "/", "http://127.0.0.1");
+            const host = String(req.headers.host || "").replace(/:\d+$/, "");
+            if (host !== "127.0.0.1" && host !== "localhost") return reply(403, { error: "forbidden host" });
+            const token = String(req.headers.authorization || "").replace(/^Bearer\s+/i, "") || url.searchParams.get("token");
+            if (!token || token !== this.settings.actionToken) return reply(401, { error: "bad token" });
+
+            const target = url.searchParams.get("target");
+            switch (url.pathname) {
+                case "/actions":
+                    return reply(200, { replies: this.settings.cannedReplies, targets: this._actionTargets.slice().reverse() });
+                case "/reply":
+                    return reply(200, { ok: true, target: await this._quickReply(url.searchParams.get("index") || 1, target) });
+                case "/read":
+                    return reply(200, { ok: true, target: this._markRead(target) });
+                default:
+                    return reply(404, { error: "unknown action" });
+            }
+        } catch (e) {
+            this._log("Action failed", e?.message || e);
+            reply(400, { error: e?.message || String(e) });
+        }
+    }
+
+    /* =============================== Diagnostics ============================== */
+
+    _resetMetrics() {
+        this.metrics = {
+            since: Date.now(),
+            seen: 0,
+            filtered: {},           // reason -> count
+            sent: 0,
+            queued: 0,
+            dropped: 0,
+            avatarFetches: 0,
+            avatarFailures: 0,
+            avatarMs: 0             // total latency of successful fetches
+        };
+    }
+
+    // Rule names and schedule names are trimmed off so reasons group ("denied by rule", "quiet hours")
+    _countFiltered(reason) {
+        const key = String(reason || "unknown").replace(/\s*[:"“].*$/, "") || "unknown";
+        this.metrics.filtered[key] = (this.metrics.filtered[key] || 0) + 1;
+    }
+
+    _countAvatarFetch(started, ok) {
+        this.metrics.avatarFetches++;
+        if (ok) this.metrics.avatarMs += Date.now() - started;
+        else this.metrics.avatarFailures++;
+    }
+
+    _metricsSnapshot() {
+        const m = this.metrics;
+        const ok = m.avatarFetches - m.avatarFailures;
+        return { ...m, filtered: { ...m.filtered }, uptimeMs: Date.now() - m.since, avgAvatarMs: ok ? Math.round(m.avatarMs / ok) : null };
+    }
+
+    _formatDuration(ms) {
+        const s = Math.floor(Math.max(0, ms) / 1000);
+        if (s < 60) return `${s}s`;
+        const m = Math.floor(s / 60);
+        if (m < 60) return `${m}m ${String(s % 60).padStart(2, "0")}s`;
+        return `${Math.floor(m / 60)}h ${String(m % 60).padStart(2, "0")}m`;
+    }
+
+    _safeJson(value) {
+        try {
+            return JSON.stringify(value);
+        } catch {
+            return String(value);
+        }
+    }
+
+    // Free text that could identify people or secrets; "" stays "" so the report shows what is set
+    static DIAGNOSTICS_REDACT = ["httpUrl", "httpHeaders", "httpTemplate", "quietVipIds", "quietKeywords", "threadParentIds", "redactPatterns", "fallbackIcon", "activeProfile", "actionToken"];
+
+    _redactedSettings() {
+        const hide = v => v === "" || v == null ? v : "<redacted>";
+        const s = JSON.parse(JSON.stringify(this.settings));
+        for (const k of XSOverlayNotifier.DIAGNOSTICS_REDACT) s[k] = hide(s[k]);
+        s.rules = s.rules.map(r => ({ ...r, name: hide(r.name), guildId: hide(r.guildId), channelId: hide(r.channelId), authorId: hide(r.authorId), sound: hide(r.sound) }));
+        s.keywords = s.keywords.map(k => ({ ...k, pattern: hide(k.pattern) }));
+        s.schedules = s.schedules.map(x => ({ ...x, name: hide(x.name) }));
+        for (const level of Object.values(s.priorities)) Object.assign(level, { sound: hide(level.sound), icon: hide(level.icon) });
+        return s;
+    }
+
+    // Toast text, payloads and base64 never leave the machine; redactPatterns apply on top
+    // Payload strings go whole, including OVR Toolkit's escaped "json" and values cut off by
+    // the 500-character cap on ring lines (no closing quote)
+    _scrubLogLine(line) {
+        return this._redact(String(line)
+            .replace(/"(title|content|body|icon|json|jsonData|rawData)":"(?:[^"\\]|\\.)*(?:"|\\?$)/g, '"$1":"…"')
+            .replace(/[A-Za-z0-9+/=]{200,}/g, "<base64>"));
+    }
+
+    _diagnosticsReport(lines = 100) {
+        const transports = this.transports.map(t => {
+            const d = t.diagnostics();
+            return { ...d, url: d.id === "http" && d.url ? "<redacted>" : d.url };
+        });
+        return [
+            `${this.meta.name} ${this.meta.version} diagnostics, ${new Date().toISOString()}`,
+            "",
+            "## Metrics",
+            JSON.stringify(this._metricsSnapshot(), null, 2),
+            "",
+            "## Transports",
+            JSON.stringify(transports, null, 2),
+            "",
+            "## Settings (redacted)",
+            JSON.stringify(this._redactedSettings(), null, 2),
+            "",
+            `## Log (last ${Math.min(lines, this._logRing.length)} lines)`,
+            ...this._logRing.slice(-lines).map(line => this._scrubLogLine(line))
+        ].join("\n");
+    }
+
+    /* ================================= Utils ================================== */
+
+    _sanitize(text = "", guildId = null) {
+        return XSOverlayNotifier.markdownToText(text, this._markdownResolvers(guildId));
+    }
+
     _cap(str, n) {
         const s = String(str || "");
         return s.length > n ? s.slice(0, n) : s;
     }
 
-    _clearQueue() {
-        if (this.queue.length && this.settings?.logDebug) this._log(`Clearing ${this.queue.length} queued notifications`);
-        this.queue.length = 0;
-    }
-
     _save() {
         BdApi.saveData(this.meta.name, "settings", this.settings);
     }
 
     _log(...args) {
+        const text = args.map(a => a instanceof Error ? a.message : (a && typeof a === "object" ? this._safeJson(a) : String(a))).join(" ");
+        this._logRing?.push(`${new Date().toISOString()} ${this._cap(text, 500)}`);
+        if (this._logRing?.length > 200) this._logRing.shift();
         const head = String(args?.[0] ?? "");
         const important = /Loaded|Started|Stopped|Connecting|connected|disconnected|Reconnecting|failed/i.test(head);
         if (this.settings?.logDebug || important) console.log(`[${this.meta.name}]`, ...args);
@@ -0,0 +1,107 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createPlugin, waitUntil } = require("./helpers/harness");
+
+// port 0: let the OS pick, then read it back from the server
+async function withEndpoint(t) {
+    const h = await createPlugin({ settings: { actionsEnabled: true, actionHotkeys: false, actionPort: 0 } });
+    t.after(() => h.teardown());
+    h.plugin._restartActions();
+    await waitUntil(() => h.plugin._actionServer?.listening);
+    const base = `http://127.0.0.1:${h.plugin._actionServer.address().port}`;
+    const call = (path, token = h.plugin.settings.actionToken) =>
+        fetch(base + path, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+    return { ...h, call };
+}
+
+test("quick replies go to the channel of the newest toast, with a confirmation toast", async t => {
+    const h = await withEndpoint(t);
+    await h.send("10", "you there?");
+    await h.send("20", "<@100> deploy?", { author: "222" });
+    await h.server.waitFor(2);
+
+    const res = await h.call("/reply?index=2");
+    assert.equal(res.status, 200);
+    assert.deepEqual(h.discord.sent, [["20", "will answer later"]]);
+    const notes = await h.server.waitFor(3);
+    assert.equal(notes[2].title, "Reply sent");
+});
+
+test("targets listed by /actions can be picked explicitly and marked read", async t => {
+    const h = await withEndpoint(t);
+    await h.send("10", "hi");
+    await h.send("20", "<@100> ping", { author: "222" });
+    await h.drain();
+
+    const { replies, targets } = await (await h.call("/actions")).json();
+    assert.deepEqual(replies, ["brb, in VR", "will answer later"]);
+    assert.deepEqual(targets.map(x => x.channelId), ["20", "10"]);
+
+    assert.equal((await h.call(`/read?target=${targets[1].id}`)).status, 200);
+    assert.deepEqual(h.discord.acked, [["10", targets[1].messageId]]);
+});
+
+test("requests without the token, or for unknown replies, are refused", async t => {
+    const h = await withEndpoint(t);
+    assert.equal(h.plugin.settings.actionToken.length, 32);
+    assert.equal((await h.call("/actions", null)).status, 401);
+    assert.equal((await h.call("/actions", "nope")).status, 401);
+
+    assert.equal((await h.call("/read")).status, 400); // nothing shown yet
+    await h.send("10", "hi");
+    await h.drain();
+    assert.equal((await h.call("/reply?index=9")).status, 400);
+    assert.deepEqual(h.discord.sent, []);
+});
+
+test("a profile switch or import restarts the endpoint with the new settings", async t => {
+    const h = await withEndpoint(t);
+    const token = h.plugin.settings.actionToken;
+    h.plugin._profiles.quiet = { ...h.plugin._profileSnapshot(), actionsEnabled: false };
+    h.plugin._profiles.loud = { ...h.plugin._profileSnapshot(), actionsEnabled: true };
+
+    h.plugin._applyProfile("quiet");
+    assert.equal(h.plugin._actionServer, null);
+
+    h.plugin._applyProfile("loud");
+    await waitUntil(() => h.plugin._actionServer?.listening);
+    assert.equal(h.plugin.settings.actionToken, token);
+});
+
+test("a failing createServer or listen is logged, not thrown out of start()", async t => {
+    const http = require("http");
+    for (const broken of ["createServer", "listen"]) {
+        const restore = broken === "createServer"
+            ? t.mock.method(http, "createServer", () => { throw new Error("no sockets here"); })
+            : t.mock.method(http.Server.prototype, "listen", function () { throw new Error("EACCES"); });
+        const h = await createPlugin({ settings: { actionsEnabled: true, actionHotkeys: false, actionPort: 0 } });
+        assert.doesNotThrow(() => h.plugin._restartActions());
+        assert.equal(h.plugin._actionServer, null);
+        assert.match(h.plugin._actionError, broken === "createServer" ? /no sockets here/ : /EACCES/);
+        h.teardown();
+        restore.mock.restore();
+    }
+});
+
+test("Ctrl+Alt+digit hotkeys ignore AltGr and keys typed into text fields", async t => {
+    const h = await createPlugin({ settings: { actionsEnabled: true, actionPort: 0 } });
+    t.after(() => h.teardown());
+    await h.send("10", "you there?");
+    await h.server.waitFor(1);
+
+    const press = (extra = {}) => {
+        const e = { ctrlKey: true, altKey: true, code: "Digit2", prevented: false, preventDefault() { this.prevented = true; }, ...extra };
+        h.plugin._onActionKey(e);
+        return e.prevented;
+    };
+    assert.equal(press({ getModifierState: key => key === "AltGraph" }), false, "AltGr+2 types @ on a Spanish layout");
+    assert.equal(press({ target: { tagName: "TEXTAREA" } }), false);
+    assert.equal(press({ target: { tagName: "DIV", isContentEditable: true } }), false);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.deepEqual(h.discord.sent, []);
+
+    assert.equal(press({ getModifierState: () => false, target: { tagName: "BODY" } }), true);
+    await waitUntil(() => h.discord.sent.length === 1);
+    assert.deepEqual(h.discord.sent, [["10", "will answer later"]]);
+});
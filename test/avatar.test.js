@@ -0,0 +1,144 @@
+const fs = require("fs");
+const path = require("path");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createPlugin } = require("./helpers/harness");
+
+const AVATAR = { avatarIcon: true, avatarFetchTimeoutMs: 100, fallbackIcon: "default" };
+const png = bytes => ({ ok: true, status: 200, headers: { get: () => null }, arrayBuffer: async () => new Uint8Array(bytes).buffer });
+
+test("a failed avatar download still sends the toast, with the fallback icon", async t => {
+    const fetch = t.mock.method(global, "fetch", async () => { throw new Error("offline"); });
+    const h = await createPlugin({ settings: AVATAR });
+    t.after(() => h.teardown());
+
+    await h.send("10", "hi");
+    const [note] = await h.server.waitFor(1);
+    assert.equal(fetch.mock.callCount(), 1);
+    assert.equal(note.icon, "default");
+    assert.equal(note.useBase64Icon, false);
+});
+
+test("an HTTP error status counts as a failure too", async t => {
+    t.mock.method(global, "fetch", async () => ({ ok: false, status: 404 }));
+    const h = await createPlugin({ settings: AVATAR });
+    t.after(() => h.teardown());
+
+    await h.send("10", "hi");
+    const [note] = await h.server.waitFor(1);
+    assert.equal(note.icon, "default");
+});
+
+test("avatars arrive as base64 and are fetched once per user and hash", async t => {
+    const fetch = t.mock.method(global, "fetch", async () => png([1, 2, 3]));
+    const h = await createPlugin({ settings: AVATAR });
+    t.after(() => h.teardown());
+
+    await Promise.all([h.send("10", "one"), h.send("10", "two")]);
+    await h.send("10", "three");
+    const notes = await h.server.waitFor(3);
+
+    assert.equal(fetch.mock.callCount(), 1);
+    assert.match(fetch.mock.calls[0].arguments[0], /avatars\/111\/a1\.png/);
+    assert.deepEqual(notes.map(n => [n.icon, n.useBase64Icon]), [["AQID", true], ["AQID", true], ["AQID", true]]);
+});
+
+test("a slow avatar misses the deadline but is cached for the next toast", async t => {
+    let finish;
+    t.mock.method(global, "fetch", () => new Promise(resolve => { finish = () => resolve(png([9, 9])); }));
+    const h = await createPlugin({ settings: { ...AVATAR, avatarFetchTimeoutMs: 20 } });
+    t.after(() => h.teardown());
+
+    await h.send("10", "first");
+    const [first] = await h.server.waitFor(1);
+    assert.equal(first.icon, "default");
+
+    finish();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    await h.send("10", "second");
+    const notes = await h.server.waitFor(2);
+    assert.equal(notes[1].icon, "CQk=");
+});
+
+test("a stalled image preview is abandoned at the deadline and the avatar is used", async t => {
+    t.mock.method(global, "fetch", (url, init) => {
+        if (/avatars/.test(url)) return Promise.resolve(png([1, 2, 3]));
+        return new Promise((resolve, reject) => init?.signal?.addEventListener("abort", () => reject(new Error("aborted"))));
+    });
+    const h = await createPlugin({ settings: { ...AVATAR, imagePreview: true, avatarFetchTimeoutMs: 30 } });
+    t.after(() => h.teardown());
+
+    const attachments = [{ filename: "cat.png", content_type: "image/png", url: "https://cdn.discordapp.com/attachments/1/2/cat.png" }];
+    await h.send("10", "look", { attachments });
+    const [note] = await h.server.waitFor(1);
+    assert.equal(note.icon, "AQID");
+    assert.ok(h.logs.some(l => /Preview fetch failed/.test(l)));
+});
+
+test("the disk cache is its own file, not part of the shared plugin config", async t => {
+    t.mock.method(global, "fetch", async () => png([1, 2, 3]));
+    const h = await createPlugin({ settings: { ...AVATAR, avatarCacheDisk: true } });
+    t.after(() => h.teardown());
+    const file = path.join(h.folder, "XSOverlayNotifier.avatars.json");
+
+    await h.send("10", "hi");
+    await h.server.waitFor(1);
+    h.plugin._saveAvatarCache(true);
+    assert.deepEqual(JSON.parse(fs.readFileSync(file, "utf8")), { "111:a1": "AQID" });
+    assert.equal(h.bd.data.XSOverlayNotifier?.avatars, undefined);
+
+    h.plugin._avatarCache.clear();
+    h.plugin._loadAvatarCache();
+    assert.equal(h.plugin._avatarCacheGet("111:a1"), "AQID");
+
+    h.plugin._clearAvatarCache();
+    assert.equal(fs.existsSync(file), false);
+});
+
+test("a cache kept in the shared config by older versions moves to the file", async t => {
+    const h = await createPlugin({ saved: { settings: { avatarCacheDisk: true }, avatars: { "111:a1": "AQID" } } });
+    t.after(() => h.teardown());
+
+    assert.equal(h.plugin._avatarCacheGet("111:a1"), "AQID");
+    assert.equal("avatars" in h.bd.data.XSOverlayNotifier, false);
+    h.plugin._saveAvatarCache(true);
+    assert.ok(fs.existsSync(path.join(h.folder, "XSOverlayNotifier.avatars.json")));
+});
+
+test("a level icon replaces the avatar, which is then not downloaded", async t => {
+    const fetch = t.mock.method(global, "fetch", async () => png([1, 2, 3]));
+    const h = await createPlugin({ settings: AVATAR });
+    t.after(() => h.teardown());
+    h.plugin.settings.priorities.dm.icon = "warning";
+
+    await h.send("10", "hi");
+    await h.send("20", "<@100> hey", { author: "222" });
+    const [dm, mention] = await h.server.waitFor(2);
+    assert.deepEqual([dm.icon, dm.useBase64Icon], ["warning", false]);
+    assert.deepEqual([mention.icon, mention.useBase64Icon], ["AQID", true], "other levels keep the avatar");
+    assert.equal(fetch.mock.callCount(), 1);
+    assert.match(fetch.mock.calls[0].arguments[0], /embed\/avatars/);
+});
+
+test("a preview without content-length stops downloading once it passes the byte cap", async t => {
+    let pulled = 0, cancelled = false;
+    t.mock.method(global, "fetch", async url => {
+        if (/avatars/.test(url)) return png([1, 2, 3]);
+        const body = new ReadableStream({
+            pull(ctrl) { pulled++; ctrl.enqueue(new Uint8Array(512)); },   // endless
+            cancel() { cancelled = true; }
+        });
+        return new Response(body, { headers: { "content-type": "image/png" } });
+    });
+    const h = await createPlugin({ settings: { ...AVATAR, imagePreview: true, imagePreviewMaxBytes: 1024 } });
+    t.after(() => h.teardown());
+
+    const attachments = [{ filename: "huge.png", content_type: "image/png", url: "https://cdn.discordapp.com/attachments/1/2/huge.png" }];
+    await h.send("10", "look", { attachments });
+    const [note] = await h.server.waitFor(1);
+    assert.equal(note.icon, "AQID");
+    assert.ok(cancelled, "the download is cancelled");
+    assert.ok(pulled <= 4, `read ${pulled} chunks`);
+    assert.ok(h.logs.some(l => /Preview fetch failed Image too large/.test(l)));
+});
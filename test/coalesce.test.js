@@ -0,0 +1,68 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createPlugin } = require("./helpers/harness");
+
+const BURST = { coalesceWindowMs: 30 };
+const toasts = notes => notes.map(n => [n.title, n.content]).sort();
+
+test("a burst on one key leaves as one toast, other keys on their own", async t => {
+    const h = await createPlugin({ settings: BURST });
+    t.after(() => h.teardown());
+
+    for (const text of ["one", "two", "three"]) await h.send("10", text);
+    await h.send("11", "lobby up");
+    const notes = await h.server.waitFor(2);
+    await new Promise(resolve => setTimeout(resolve, 60));
+
+    assert.equal(h.server.notifications().length, 2);
+    const [merged, lone] = toasts(notes);
+    assert.deepEqual(merged, ["Alice (+2 more) in DM", "one\ntwo\nthree"]);
+    assert.doesNotMatch(lone[0], /more\)/);
+    assert.match(lone[1], /lobby up/);
+});
+
+test("coalesceMaxLines keeps only the newest lines but counts every message", async t => {
+    const h = await createPlugin({ settings: { ...BURST, coalesceMaxLines: 2 } });
+    t.after(() => h.teardown());
+
+    for (const text of ["a", "b", "c", "d"]) await h.send("10", text);
+    assert.deepEqual(toasts(await h.server.waitFor(1)), [["Alice (+3 more) in DM", "c\nd"]]);
+    await h.drain();
+    assert.equal(h.plugin.history[0].opts.summary.count, 4);
+});
+
+test("coalesceBy author keeps senders apart; channel merges them with names on each line", async t => {
+    for (const [coalesceBy, expected] of [
+        ["author", [["Alice (+1 more) in Squad", "hi\nagain"], ["Bob (+1 more) in Squad", "yo\nlast"]]],
+        ["channel", [["Bob (+3 more) in Squad", "Alice: hi\nBob: yo\nAlice: again\nBob: last"]]]
+    ]) {
+        const h = await createPlugin({ settings: { ...BURST, coalesceBy } });
+        try {
+            await h.send("11", "hi");
+            await h.send("11", "yo", { author: "222" });
+            await h.send("11", "again");
+            await h.send("11", "last", { author: "222" });
+            assert.deepEqual(toasts(await h.server.waitFor(expected.length)), expected, coalesceBy);
+        } finally {
+            h.teardown();
+        }
+    }
+});
+
+test("a merged burst is presented as its highest-ranked line", async t => {
+    const h = await createPlugin({ settings: { ...BURST, notifyGuildMessages: true } });
+    t.after(() => h.teardown());
+    Object.assign(h.plugin.settings.priorities.mention, { timeoutMs: 20000, sound: "mention.ogg" });
+    Object.assign(h.plugin.settings.priorities.guild, { timeoutMs: 5000 });
+
+    await h.send("20", "<@100> urgent", { author: "222" });
+    await h.send("20", "lol", { author: "222" });
+    const [note] = await h.server.waitFor(1);
+    await h.drain();
+
+    assert.match(note.title, /^Bob \(\+1 more\)/);
+    assert.equal(note.timeout, 20);
+    assert.equal(note.audioPath, "mention.ogg");
+    assert.equal(h.plugin.history[0].opts.priority, "mention");
+});
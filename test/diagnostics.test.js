@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { XSOverlayNotifier, createPlugin, waitUntil } = require("./helpers/harness");
+const { FakeXSOverlay } = require("./helpers/fake-xsoverlay");
+
+test("metrics count seen, filtered by reason and delivery outcomes", async t => {
+    const h = await createPlugin();
+    t.after(() => h.teardown());
+    h.plugin.settings.rules = [{ ...XSOverlayNotifier.newRule(), name: "mute Bob", action: "deny", authorId: "222" }];
+
+    await h.send("10", "hi");
+    await h.send("20", "chatter");
+    await h.send("20", "<@100> hey", { author: "222" });
+    await h.drain();
+
+    const m = h.plugin._metricsSnapshot();
+    assert.equal(m.seen, 3);
+    assert.deepEqual(m.filtered, { "no filter matched": 1, "denied by rule": 1 });
+    assert.deepEqual([m.sent, m.queued, m.dropped], [1, 0, 0]);
+    assert.equal(h.xso.diagnostics().attempts, 1);
+});
+
+test("the diagnostics report redacts settings, toast text and base64", async t => {
+    const h = await createPlugin({ settings: { httpUrl: "https://hooks.example/secret-token", quietVipIds: "111" } });
+    t.after(() => h.teardown());
+    const log = XSOverlayNotifier.prototype._log.bind(h.plugin);
+
+    log("WS ->", JSON.stringify({ command: "SendNotification", jsonData: JSON.stringify({ title: "Alice", content: "my secret" }) }));
+    log("icon", "A".repeat(300));
+    const report = h.plugin._diagnosticsReport();
+
+    assert.doesNotMatch(report, /secret/);
+    assert.doesNotMatch(report, /A{200}/);
+    assert.match(report, /"quietVipIds": "<redacted>"/);
+    assert.match(report, /"jsonData":"…"/);
+    assert.match(report, /<base64>/);
+});
+
+test("OVR Toolkit payloads in debug log lines are masked too", async t => {
+    const ovrt = new FakeXSOverlay({ port: 11450 });
+    t.after(() => ovrt.close());
+    t.mock.method(console, "log", () => {});
+    const h = await createPlugin({ settings: { ovrtEnabled: true, logDebug: true } });
+    t.after(() => h.teardown());
+    delete h.plugin._log; // back to the real logger, which fills the ring
+    h.plugin._connect();
+    await waitUntil(() => h.plugin.transports.find(x => x.id === "ovrt").connected);
+
+    await h.send("10", "my bank pin is 4455");
+    await waitUntil(() => ovrt.envelopes.some(e => e.messageType === "SendNotification" && e.json.includes("4455")));
+    h.plugin._log("cut off", `{"content":"${"x".repeat(480)} 4455`);
+
+    assert.ok(h.plugin._logRing.some(line => line.includes("4455")));
+    assert.doesNotMatch(h.plugin._diagnosticsReport(200), /4455/);
+});
@@ -0,0 +1,54 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { XSOverlayNotifier, createPlugin } = require("./helpers/harness");
+
+const lines = text => XSOverlayNotifier.countWrappedLines(text, 20);
+
+test("countWrappedLines: words move to the next line whole", () => {
+    assert.equal(lines(""), 1);
+    assert.equal(lines("short"), 1);
+    assert.equal(lines("twenty chars exactly"), 1);
+    assert.equal(lines("the quick brown fox jumps"), 2);
+    assert.equal(lines("a\nb\n\nc"), 4);
+});
+
+test("countWrappedLines: words longer than a line are split", () => {
+    assert.equal(lines("x".repeat(45)), 3);
+});
+
+test("countWrappedLines: CJK and emoji take two columns each", () => {
+    assert.equal(lines("今日はとても楽しかった"), 2);  // 11 chars = 22 columns
+    assert.equal(lines("🔥".repeat(10)), 1);
+    assert.equal(lines("🔥".repeat(11)), 2);
+});
+
+test("countWrappedLines: emoji sequences and combining marks count once", () => {
+    assert.equal(XSOverlayNotifier.clusterColumns("👨‍👩‍👧‍👦"), 2);
+    assert.equal(XSOverlayNotifier.clusterColumns("🇯🇵"), 2);
+    assert.equal(XSOverlayNotifier.clusterColumns("é"), 1);
+    assert.equal(lines("👨‍👩‍👧‍👦".repeat(10)), 1);
+});
+
+test("_estimateHeight: padding plus lines, clamped to min/max", async t => {
+    const h = await createPlugin({ settings: { wrapChars: 20, lineHeight: 20, basePadding: 100, minHeight: 140, maxHeight: 300 } });
+    t.after(() => h.teardown());
+
+    assert.equal(h.plugin._estimateHeight("one"), 140);
+    assert.equal(h.plugin._estimateHeight("1\n2\n3"), 160);
+    assert.equal(h.plugin._estimateHeight("line\n".repeat(50)), 300);
+    assert.deepEqual(h.plugin._estimateLayout("1\n2\n3"), { lines: 3, raw: 160, height: 160 });
+});
+
+test("toasts carry the estimated height, or the fixed one with autoHeight off", async t => {
+    const h = await createPlugin({ settings: { wrapChars: 20, lineHeight: 20, basePadding: 100, minHeight: 100, includeChannelName: false } });
+    t.after(() => h.teardown());
+
+    await h.send("10", "1\n2\n3\n4");
+    h.plugin.settings.autoHeight = false;
+    h.plugin.settings.height = 222;
+    await h.send("10", "1\n2\n3\n4");
+    const notes = await h.server.waitFor(2);
+
+    assert.deepEqual(notes.map(n => n.height), [180, 222]);
+});
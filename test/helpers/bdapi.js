@@ -0,0 +1,126 @@
+// Stand-ins for the BetterDiscord globals and Discord stores the plugin looks up.
+// Stores are plain objects with the same method names, so the real getModule
+// filters in _bindInternals pick them out.
+
+const clone = v => v === undefined ? undefined : JSON.parse(JSON.stringify(v));
+
+// Enough of React for getSettingsPanel() to build an element tree without rendering it
+const React = {
+    Fragment: "Fragment",
+    createElement: (type, props, ...children) => ({ type, props: props || {}, children }),
+    useState: init => [typeof init === "function" ? init() : init, () => {}],
+    useEffect: () => {}
+};
+
+// folder: stands in for BetterDiscord's plugins folder (files the plugin writes itself)
+function createBdApi(modules = [], folder = null) {
+    const data = {};
+    return {
+        data,
+        React,
+        Plugins: { folder },
+        loadData: (plugin, key) => clone(data[plugin]?.[key]),
+        saveData: (plugin, key, value) => { (data[plugin] ||= {})[key] = clone(value); },
+        deleteData: (plugin, key) => { delete data[plugin]?.[key]; },
+        Webpack: {
+            getModule(filter) {
+                for (const m of modules) {
+                    try {
+                        if (filter(m)) return m;
+                    } catch {}
+                }
+                return null;
+            }
+        }
+    };
+}
+
+// Discord's dispatch is fire-and-forget; this one resolves once every (async) handler has
+// finished, so a test can dispatch and then assert.
+class FakeDispatcher {
+    constructor() {
+        this.handlers = new Map();
+    }
+
+    subscribe(type, fn) {
+        if (!this.handlers.has(type)) this.handlers.set(type, new Set());
+        this.handlers.get(type).add(fn);
+    }
+
+    unsubscribe(type, fn) {
+        this.handlers.get(type)?.delete(fn);
+    }
+
+    dispatch(event) {
+        return Promise.all([...(this.handlers.get(event.type) || [])].map(fn => fn(event)));
+    }
+
+    async script(events) {
+        for (const event of events) await this.dispatch(event);
+    }
+}
+
+// A small Discord: me (100), Alice (111) and Bob (222); a DM with Alice, a group DM,
+// and #general/#ops in "Guild" where I hold the Ops role (333).
+function createDiscord(overrides = {}) {
+    const users = {
+        100: { id: "100", username: "me", avatar: null },
+        111: { id: "111", username: "Alice", avatar: "a1" },
+        222: { id: "222", username: "Bob", avatar: null },
+        ...overrides.users
+    };
+    const channels = {
+        10: { id: "10", type: 1, recipients: ["111"] },
+        11: { id: "11", type: 3, name: "Squad", recipients: ["111", "222"] },
+        20: { id: "20", type: 0, guild_id: "1", name: "general" },
+        21: { id: "21", type: 0, guild_id: "1", name: "ops" },
+        ...overrides.channels
+    };
+    const guilds = { 1: { id: "1", name: "Guild" }, ...overrides.guilds };
+    const members = { "1:100": { roles: ["333"] }, ...overrides.members };
+    const roles = { "1:333": { id: "333", name: "Ops" }, ...overrides.roles };
+    const messages = {};
+    const sent = [];    // [channelId, content] from MessageActions.sendMessage
+    const acked = [];   // [channelId, messageId] from ReadStateActions
+
+    const stores = {
+        Dispatcher: new FakeDispatcher(),
+        UserStore: {
+            getCurrentUser: () => users[100],
+            getUser: id => users[id]
+        },
+        ChannelStore: {
+            getChannel: id => channels[id],
+            getDMFromUserId: id => Object.values(channels).find(c => c.type === 1 && c.recipients?.includes(id))?.id
+        },
+        GuildStore: {
+            getGuild: id => guilds[id],
+            getGuilds: () => guilds
+        },
+        GuildMemberStore: {
+            getMember: (guildId, userId) => members[`${guildId}:${userId}`],
+            getMemberIds: guildId => Object.keys(members).filter(k => k.startsWith(`${guildId}:`)).map(k => k.split(":")[1])
+        },
+        GuildRoleStore: {
+            getRole: (guildId, roleId) => roles[`${guildId}:${roleId}`],
+            getSortedRoles: () => Object.values(roles)
+        },
+        MessageStore: {
+            getMessage: (channelId, id) => messages[`${channelId}:${id}`],
+            getMessages: channelId => Object.values(messages).filter(m => m.channel_id === channelId)
+        },
+        StreamerModeStore: { enabled: false, hidePersonalInformation: false, disableNotifications: false },
+        MessageActions: {
+            sendMessage: async (channelId, msg) => { sent.push([channelId, msg.content]); },
+            editMessage: () => {},
+            deleteMessage: () => {}
+        },
+        ReadStateActions: {
+            ack: channelId => acked.push([channelId, null]),
+            bulkAck: list => list.forEach(a => acked.push([a.channelId, a.messageId]))
+        }
+    };
+    return { users, channels, guilds, members, roles, messages, sent, acked, stores };
+}
+
+module.exports = { React, createBdApi, FakeDispatcher, createDiscord };
@@ -0,0 +1,131 @@
+// In-process stand-in for XSOverlay's WebSocket API. install() replaces the global
+// WebSocket with a fake whose sockets reach whichever FakeXSOverlay listens on the
+// URL's host:port; nothing touches the network. Socket events fire on setImmediate,
+// so mocked setTimeout (backoff tests) doesn't stall them.
+
+const servers = new Map(); // "host:port" -> FakeXSOverlay
+
+class FakeSocket {
+    constructor(url) {
+        this.url = url;
+        this.listeners = {};
+        this.closed = false;
+        const { hostname, port } = new URL(url);
+        this.server = servers.get(`${hostname}:${port}`) || null;
+        setImmediate(() => {
+            if (!this.server || this.server.refuse) return this._fail();
+            this.server._accept(this);
+            this._emit("open", {});
+        });
+    }
+
+    addEventListener(type, fn) {
+        (this.listeners[type] ||= new Set()).add(fn);
+    }
+
+    removeEventListener(type, fn) {
+        this.listeners[type]?.delete(fn);
+    }
+
+    send(data) {
+        if (this.closed) throw new Error("socket closed");
+        this.server._receive(this, data);
+    }
+
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+        this.server?.sockets.delete(this);
+        setImmediate(() => this._emit("close", {}));
+    }
+
+    _fail() {
+        this.closed = true;
+        this.server && this.server.refused++;
+        this._emit("error", new Error("ECONNREFUSED"));
+        this._emit("close", {});
+    }
+
+    _emit(type, ev) {
+        for (const fn of [...(this.listeners[type] || [])]) fn(ev);
+    }
+}
+
+class FakeXSOverlay {
+    constructor({ host = "127.0.0.1", port = 42070 } = {}) {
+        this.key = `${host}:${port}`;
+        this.sockets = new Set();
+        this.envelopes = [];        // every parsed message received, in order
+        this.connections = 0;
+        this.refused = 0;
+        this.refuse = false;        // true: new sockets error out like a closed port
+        this.ack = true;            // echo SendNotification back as a delivery confirmation
+        this.hmdActive = true;      // reported in UpdateDeviceInformation
+        servers.set(this.key, this);
+    }
+
+    static install() {
+        const previous = global.WebSocket;
+        global.WebSocket = FakeSocket;
+        return () => { global.WebSocket = previous; };
+    }
+
+    close() {
+        this.drop();
+        servers.delete(this.key);
+    }
+
+    // Closes every open connection, as if XSOverlay quit
+    drop() {
+        for (const socket of [...this.sockets]) {
+            socket.closed = true;
+            this.sockets.delete(socket);
+            setImmediate(() => socket._emit("close", {}));
+        }
+    }
+
+    // Sends an API event to every connected client
+    push(command, data) {
+        const json = JSON.stringify({ sender: "xsoverlay", target: "", command, jsonData: JSON.stringify(data), rawData: null });
+        for (const socket of this.sockets) setImmediate(() => socket._emit("message", { data: json }));
+    }
+
+    commands(name) {
+        return this.envelopes.filter(e => e.command === name);
+    }
+
+    // Toasts received, minus the "overlay online" hello sent on every connect
+    notifications({ hello = false } = {}) {
+        return this.commands("SendNotification")
+            .map(e => JSON.parse(e.jsonData))
+            .filter(n => hello || n.title !== "BetterDiscord");
+    }
+
+    // Resolves once `count` toasts have arrived; rejects after `ms`
+    async waitFor(count, ms = 1000) {
+        const until = Date.now() + ms;
+        while (this.notifications().length < count) {
+            if (Date.now() > until) throw new Error(`expected ${count} notifications, got ${this.notifications().length}`);
+            await new Promise(resolve => setImmediate(resolve));
+        }
+        return this.notifications();
+    }
+
+    _accept(socket) {
+        this.connections++;
+        this.sockets.add(socket);
+    }
+
+    _receive(socket, data) {
+        const envelope = JSON.parse(data);
+        this.envelopes.push(envelope);
+        const reply = (command, payload) => setImmediate(() => socket.closed || socket._emit("message", {
+            data: JSON.stringify({ sender: "xsoverlay", target: envelope.sender, command, jsonData: JSON.stringify(payload), rawData: null })
+        }));
+        if (envelope.command === "SendNotification" && this.ack) reply("SendNotification", { ok: true });
+        if (envelope.command === "RequestDeviceInformation") reply("UpdateDeviceInformation", [{ type: "hmd", userPresent: this.hmdActive }]);
+        if (envelope.command === "RequestRuntimeInformation") reply("UpdateRuntimeInformation", { vrActive: true });
+    }
+}
+
+module.exports = { FakeXSOverlay, FakeSocket };
@@ -0,0 +1,76 @@
+// Boots the real plugin against the fakes: a BdApi global backed by createDiscord()'s
+// stores, a FakeXSOverlay on the default port and the fake WebSocket global.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const XSOverlayNotifier = require("../../XSOverlay.plugin.js");
+const { createBdApi, createDiscord } = require("./bdapi");
+const { FakeXSOverlay } = require("./fake-xsoverlay");
+
+// No pacing, no avatar downloads; tests opt back in
+const TEST_SETTINGS = { minIntervalMs: 0, avatarIcon: false, logDebug: false };
+
+const settle = async (rounds = 5) => {
+    for (let i = 0; i < rounds; i++) await new Promise(resolve => setImmediate(resolve));
+};
+
+async function waitUntil(check, ms = 1000) {
+    const until = Date.now() + ms;
+    while (!check()) {
+        if (Date.now() > until) throw new Error("condition not met in time");
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+/**
+ * settings: applied over the defaults after load(); saved: BdApi data from an earlier
+ * run ({ settings, queue, history, ... }); refuse: start with the overlay unreachable.
+ */
+async function createPlugin({ settings = {}, saved = null, refuse = false, discord = createDiscord() } = {}) {
+    const restoreWebSocket = FakeXSOverlay.install();
+    const server = new FakeXSOverlay();
+    server.refuse = refuse;
+
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), "xso-plugins-"));
+    const bd = createBdApi(Object.values(discord.stores), folder);
+    if (saved) bd.data.XSOverlayNotifier = JSON.parse(JSON.stringify(saved));
+    global.BdApi = bd;
+
+    const plugin = new XSOverlayNotifier();
+    const logs = [];
+    plugin._log = (...args) => logs.push(args.map(String).join(" "));
+    plugin.load();
+    Object.assign(plugin.settings, TEST_SETTINGS, settings);
+    plugin.start();
+    const xso = plugin.transports.find(t => t.id === "xsoverlay");
+    if (!refuse && plugin.settings.autoConnect) await waitUntil(() => xso.connected);
+
+    let seq = 1000;
+    const message = (channelId, content, { author = "111", ...rest } = {}) => ({
+        id: String(++seq), channel_id: channelId, content, author: discord.users[author], ...rest
+    });
+
+    return {
+        plugin, bd, discord, server, logs, xso, folder,
+        dispatcher: discord.stores.Dispatcher,
+        message,
+        // resolves once paced sends have gone out to the transports
+        async drain() {
+            await waitUntil(() => !plugin._pending.length && !plugin._pendingTimer);
+            await settle();
+        },
+        // dispatches MESSAGE_CREATE and waits for the handler (avatar fetch included)
+        send: (channelId, content, extra) => discord.stores.Dispatcher.dispatch({ type: "MESSAGE_CREATE", message: message(channelId, content, extra) }),
+        teardown() {
+            plugin.stop();
+            server.close();
+            restoreWebSocket();
+            delete global.BdApi;
+            fs.rmSync(folder, { recursive: true, force: true });
+        }
+    };
+}
+
+module.exports = { XSOverlayNotifier, createPlugin, settle, waitUntil, TEST_SETTINGS };
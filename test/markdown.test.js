@@ -0,0 +1,28 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const XSOverlayNotifier = require("../XSOverlay.plugin.js");
+const fixtures = require("./fixtures/markdown.json");
+
+const users = { 111: "Alice", 222: "Bob", 555: "__init__" };
+const roles = { 333: "Ops" };
+const channels = { 444: "general" };
+
+const resolve = {
+    user: id => users[id],
+    role: id => roles[id],
+    channel: id => channels[id],
+    locale: "en-US",
+    timeZone: "UTC",
+    now: 1700000000 * 1000
+};
+
+for (const { name, input, expected } of fixtures) {
+    test(`markdownToText: ${name}`, () => {
+        assert.equal(XSOverlayNotifier.markdownToText(input, resolve), expected);
+    });
+}
+
+test("markdownToText: missing resolvers fall back to placeholders", () => {
+    assert.equal(XSOverlayNotifier.markdownToText("<@1> <@&2> <#3>"), "@unknown-user @deleted-role #unknown-channel");
+});
@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createPlugin } = require("./helpers/harness");
+
+test("DMs notify with the author as title and the channel context before the text", async t => {
+    const h = await createPlugin();
+    t.after(() => h.teardown());
+
+    await h.send("10", "hi **there**");
+    const [note] = await h.server.waitFor(1);
+    assert.equal(note.title, "Alice");
+    assert.equal(note.content, "Direct Message — hi there");
+    assert.equal(h.plugin.history.at(-1).outcome, "sent");
+});
+
+test("guild messages only notify for mentions, role mentions and keywords by default", async t => {
+    const h = await createPlugin({ settings: { keywords: [{ enabled: true, pattern: "deploy", regex: false, caseSensitive: false, wholeWord: true }] } });
+    t.after(() => h.teardown());
+
+    await h.send("20", "just chatting");
+    await h.send("20", "hey <@100>");
+    await h.send("21", "on call please", { author: "222", mention_roles: ["333"] });
+    await h.send("20", "deploy is done", { author: "222" });
+    const notes = await h.server.waitFor(3);
+    await h.drain();
+
+    assert.deepEqual(notes.map(n => n.title), ["Alice", "Bob · @Ops", "Bob · “deploy”"]);
+    assert.equal(h.server.notifications().length, 3);
+});
+
+test("my own messages and repeated message IDs are ignored", async t => {
+    const h = await createPlugin();
+    t.after(() => h.teardown());
+
+    await h.send("10", "from me", { author: "100" });
+    const message = h.message("10", "once");
+    await h.dispatcher.dispatch({ type: "MESSAGE_CREATE", message });
+    await h.dispatcher.dispatch({ type: "MESSAGE_CREATE", message });
+    await h.server.waitFor(1);
+    await h.drain();
+
+    assert.deepEqual(h.server.notifications().map(n => n.content), ["Direct Message — once"]);
+});
+
+test("a deny rule wins over the DM toggle and is logged as filtered", async t => {
+    const h = await createPlugin({ settings: { historyLogFiltered: true } });
+    t.after(() => h.teardown());
+    h.plugin.settings.rules = [{ ...h.plugin.constructor.newRule(), name: "no Alice", action: "deny", authorId: "111" }];
+
+    await h.send("10", "hello?");
+    await h.drain();
+
+    assert.equal(h.server.notifications().length, 0);
+    assert.equal(h.plugin.history.at(-1).outcome, "filtered");
+    assert.match(h.plugin.history.at(-1).reason, /no Alice/);
+});
+
+test("toast text never starts, ends or stacks with blank lines", async t => {
+    const h = await createPlugin();
+    t.after(() => h.teardown());
+
+    await h.send("10", "\n\n   first line\n\n\n\nsecond line\r\n\n  ");
+    await h.send("11", "", { author: "222", attachments: [{}, {}] });
+    const notes = await h.server.waitFor(2);
+
+    assert.equal(notes[0].content, "Direct Message — first line\nsecond line");
+    assert.equal(notes[1].content, "Group DM · #Squad — [2 attachments]");
+});
+
+test("a scripted edit that newly mentions me notifies once, marked as edited", async t => {
+    const h = await createPlugin();
+    t.after(() => h.teardown());
+
+    const message = h.message("20", "no ping yet", { author: "222" });
+    await h.dispatcher.dispatch({ type: "MESSAGE_CREATE", message });
+    const edited = { ...message, content: "ping <@100>" };
+    h.discord.messages[`20:${message.id}`] = edited;
+    await h.dispatcher.script([
+        { type: "MESSAGE_UPDATE", message: { id: message.id, channel_id: "20", content: edited.content } },
+        { type: "MESSAGE_UPDATE", message: { id: message.id, channel_id: "20", content: edited.content } }
+    ]);
+    const [note] = await h.server.waitFor(1);
+    await h.drain();
+
+    assert.equal(note.title, "Bob (edited)");
+    assert.equal(h.server.notifications().length, 1);
+});
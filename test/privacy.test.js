@@ -0,0 +1,104 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { XSOverlayNotifier, createPlugin } = require("./helpers/harness");
+
+const HIDDEN = XSOverlayNotifier.PRIVACY_BODY;
+const toasts = notes => notes.map(n => [n.title, n.content]);
+
+async function sendBoth(h) {
+    await h.send("10", "my bank pin is 4455");
+    await h.send("20", "<@100> secret plans", { author: "222" });
+    return toasts(await h.server.waitFor(2));
+}
+
+test("sender level keeps who sent it and hides the text", async t => {
+    const h = await createPlugin({ settings: { privacyMode: "sender" } });
+    t.after(() => h.teardown());
+    assert.deepEqual(await sendBoth(h), [["New DM from Alice", HIDDEN], ["New mention from Bob", HIDDEN]]);
+});
+
+test("server level shows where it was sent instead of the text", async t => {
+    const h = await createPlugin({ settings: { privacyMode: "server" } });
+    t.after(() => h.teardown());
+    assert.deepEqual(await sendBoth(h), [["New DM from Alice", "Direct Message"], ["New mention from Bob", "Guild · #general"]]);
+});
+
+test("anonymous level hides the sender, the text and the avatar", async t => {
+    const h = await createPlugin({ settings: { privacyMode: "anonymous", avatarIcon: true, fallbackIcon: "default" } });
+    t.after(() => h.teardown());
+    const fetch = t.mock.method(global, "fetch", async () => { throw new Error("should not fetch"); });
+
+    assert.deepEqual(await sendBoth(h), [["New DM", HIDDEN], ["New mention", HIDDEN]]);
+    assert.equal(fetch.mock.callCount(), 0);
+    assert.equal(h.server.notifications()[0].icon, "default");
+});
+
+test("Streamer Mode raises the level; rules can set their own", async t => {
+    const h = await createPlugin({ settings: { privacyStreamerLevel: "anonymous" } });
+    t.after(() => h.teardown());
+    h.plugin.settings.rules = [{ ...XSOverlayNotifier.newRule(), authorId: "222", privacy: "sender" }];
+
+    h.discord.stores.StreamerModeStore.enabled = true;
+    await h.send("10", "while streaming");
+    h.discord.stores.StreamerModeStore.enabled = false;
+    await h.send("10", "after streaming");
+    await h.send("20", "<@100> ruled", { author: "222" });
+
+    assert.deepEqual(toasts(await h.server.waitFor(3)), [
+        ["New DM", HIDDEN], ["Alice", "Direct Message — after streaming"], ["New mention from Bob", HIDDEN]
+    ]);
+});
+
+test("redactPatterns mask matches in the text; bad patterns are skipped", async t => {
+    const h = await createPlugin({ settings: { redactPatterns: "pin is \\d+\n([unclosed\n" + XSOverlayNotifier.REDACT_PRESETS[0] } });
+    t.after(() => h.teardown());
+
+    await h.send("10", "my pin is 4455, mail me at a.b@example.com");
+    const [note] = await h.server.waitFor(1);
+    assert.equal(note.content, "Direct Message — my [redacted], mail me at [redacted]");
+    assert.equal(h.plugin._redactors().length, 2);
+});
+
+test("merged bursts keep the placeholder body", async t => {
+    const h = await createPlugin({ settings: { privacyMode: "sender", coalesceWindowMs: 20 } });
+    t.after(() => h.teardown());
+
+    await h.send("10", "one");
+    await h.send("10", "two");
+    assert.deepEqual(toasts(await h.server.waitFor(1)), [["Alice (+1 more)", HIDDEN]]);
+});
+
+test("the deleted-message follow-up honors the privacy level", async t => {
+    const h = await createPlugin({ settings: { notifyDeletes: true } });
+    t.after(() => h.teardown());
+    const deleted = async (level, content) => {
+        h.plugin.settings.privacyMode = level;
+        const message = h.message("20", content, { author: "222" });
+        await h.dispatcher.dispatch({ type: "MESSAGE_CREATE", message });
+        await h.drain();
+        await h.dispatcher.dispatch({ type: "MESSAGE_DELETE", id: message.id, channelId: "20" });
+        await h.drain();
+        return toasts(h.server.notifications().slice(-1))[0];
+    };
+
+    assert.deepEqual(await deleted("off", "deploy <@100>"), ["Bob deleted a message", "The message that mentioned you was deleted"]);
+    h.plugin.settings.notifyGuildMessages = true;
+    assert.deepEqual(await deleted("off", "plain"), ["Bob deleted a message", "In Guild · #general"]);
+    assert.deepEqual(await deleted("sender", "plain"), ["Bob deleted a message", HIDDEN]);
+    assert.deepEqual(await deleted("server", "plain"), ["Bob deleted a message", "In Guild · #general"]);
+    assert.deepEqual(await deleted("anonymous", "plain"), ["A message was deleted", HIDDEN]);
+});
+
+test("resending from history applies the current privacy level", async t => {
+    const h = await createPlugin();
+    t.after(() => h.teardown());
+
+    await h.send("10", "shown before privacy");
+    await h.server.waitFor(1);
+    await h.drain();
+    h.plugin.settings.privacyMode = "anonymous";
+    h.plugin._resendHistory(h.plugin.history.at(-1));
+    const notes = await h.server.waitFor(2);
+    assert.deepEqual(toasts(notes.slice(1)), [["New DM", HIDDEN]]);
+});
@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { XSOverlayNotifier, createPlugin } = require("./helpers/harness");
+
+const schedule = fields => ({ ...XSOverlayNotifier.newSchedule(), name: "night", ...fields });
+const ALWAYS = { schedules: [schedule({ always: true })] };
+const at = (day, hh, mm = 0) => new Date(2026, 9, 18 + day, hh, mm); // 2026-10-18 is a Sunday
+
+test("a window that crosses midnight belongs to the day it starts on", async t => {
+    const h = await createPlugin();
+    t.after(() => h.teardown());
+    const monday = schedule({ days: [1], start: "22:00", end: "07:00" });
+    const active = date => h.plugin._scheduleActive(monday, date);
+
+    assert.equal(active(at(1, 21, 59)), false);
+    assert.equal(active(at(1, 22)), true);
+    assert.equal(active(at(2, 6, 59)), true, "Tuesday morning is Monday night");
+    assert.equal(active(at(2, 7)), false);
+    assert.equal(active(at(1, 6)), false, "Monday morning is Sunday's, which is off");
+    assert.equal(active(at(2, 23)), false);
+
+    assert.equal(h.plugin._scheduleActive(schedule({ days: [1], start: "09:00", end: "17:00" }), at(1, 12)), true);
+    assert.equal(h.plugin._scheduleActive(schedule({ days: [1], start: "09:00", end: "09:00" }), at(1, 9)), false);
+    assert.equal(h.plugin._scheduleActive({ ...monday, enabled: false }, at(1, 23)), false);
+});
+
+test("VIP DMs and quiet keywords get through; everything else is held", async t => {
+    const h = await createPlugin({ settings: { ...ALWAYS, quietVipIds: "222", quietKeywords: "Server Down" } });
+    t.after(() => h.teardown());
+
+    await h.send("10", "just chatting");
+    await h.send("10", "the server down again?");
+    await h.send("11", "vip in a group DM", { author: "222" });
+    await h.send("20", "vip in a guild <@100>", { author: "222", mentions: [{ id: "100" }] });
+    await h.drain();
+
+    const bodies = h.server.notifications().map(n => n.content);
+    assert.equal(bodies.length, 2);
+    assert.match(bodies[0], /server down again/);
+    assert.match(bodies[1], /vip in a group DM/);
+    assert.deepEqual(h.plugin.history.filter(e => e.outcome === "filtered").map(e => e.reason), ["quiet hours: night", "quiet hours: night"]);
+});
+
+test("a downgrade schedule still shows the toast, silently", async t => {
+    const h = await createPlugin({ settings: { schedules: [schedule({ always: true, action: "downgrade" })] } });
+    t.after(() => h.teardown());
+
+    await h.send("10", "psst");
+    const [note] = await h.server.waitFor(1);
+    assert.match(note.content, /psst/);
+    assert.equal(note.audioPath, "");
+    assert.equal(h.plugin._quietActive(), false, "a downgrade holds nothing for the digest");
+});
+
+test("held toasts come back as one digest once quiet hours end", async t => {
+    const h = await createPlugin({ settings: { ...ALWAYS, quietSuppressedTo: "digest" } });
+    t.after(() => h.teardown());
+
+    await h.send("10", "one");
+    await h.send("10", "two");
+    await h.send("11", "three", { author: "222" });
+    h.plugin._quietTick();
+    await h.drain();
+    assert.equal(h.server.notifications().length, 0, "nothing while the schedule is active");
+
+    h.plugin.settings.schedules[0].enabled = false;
+    h.plugin._quietTick();
+    const [digest] = await h.server.waitFor(1);
+    assert.equal(digest.title, "3 while quiet");
+    assert.match(digest.content, /3 DMs from Alice, Bob/);
+
+    h.plugin._quietTick();
+    await h.drain();
+    assert.equal(h.server.notifications().length, 1, "the digest is sent once");
+});
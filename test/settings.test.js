@@ -0,0 +1,107 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { XSOverlayNotifier, createPlugin } = require("./helpers/harness");
+
+test("_validateSettings clamps numbers and resets wrong types and choices", async t => {
+    const h = await createPlugin();
+    t.after(() => h.teardown());
+
+    const { settings, problems } = h.plugin._validateSettings({
+        timeoutMs: 10, volume: "0.5", opacity: "bright", notifyDMs: "yes",
+        replayMode: "shuffle", clientName: 42, rules: "none", bogus: 1,
+        minHeight: 600, maxHeight: 200, wrapChars: 38.6
+    });
+
+    assert.equal(settings.timeoutMs, 500);
+    assert.equal(settings.volume, 0.5);
+    assert.equal(settings.opacity, h.plugin.defaultSettings.opacity);
+    assert.equal(settings.notifyDMs, true);
+    assert.equal(settings.replayMode, "paced");
+    assert.equal(settings.clientName, "42");
+    assert.deepEqual(settings.rules, []);
+    assert.deepEqual([settings.minHeight, settings.maxHeight], [200, 600]);
+    assert.equal(settings.wrapChars, 39);
+    assert.equal("bogus" in settings, false);
+    for (const re of [/timeoutMs: 10 clamped to 500/, /opacity: not a number/, /notifyDMs: not true\/false/, /replayMode: "shuffle"/,
+        /rules: not a list/, /bogus: unknown setting/, /swapped/]) {
+        assert.ok(problems.some(p => re.test(p)), `expected a problem matching ${re}`);
+    }
+});
+
+test("_validateSettings repairs list items and per-level overrides", async t => {
+    const h = await createPlugin();
+    t.after(() => h.teardown());
+
+    const { settings, problems } = h.plugin._validateSettings({
+        rules: [{ name: "partial", timeoutMs: "soon", volume: 3 }, "junk", null],
+        priorities: { dm: { opacity: -1 }, nonsense: {} },
+        targets: [{ host: "10.0.0.2", port: 99999, filter: "weird" }, { id: "dup", port: "x" }, { id: "dup" }]
+    });
+
+    assert.deepEqual(settings.rules, [{ ...XSOverlayNotifier.newRule(), name: "partial", timeoutMs: "", volume: 1 }]);
+    assert.ok(problems.some(p => /rules: dropped 2 malformed entries/.test(p)));
+    assert.ok(problems.some(p => /rule 1 timeoutMs: not a number/.test(p)));
+    assert.equal(settings.priorities.dm.opacity, 0);
+    assert.equal("nonsense" in settings.priorities, false);
+    assert.deepEqual(settings.targets.map(x => [x.host, x.port, x.filter]), [["10.0.0.2", 65535, "all"], ["127.0.0.1", 42070, "all"], ["127.0.0.1", 42070, "all"]]);
+    assert.equal(settings.targets[0].id, "xsoverlay");
+    assert.equal(new Set(settings.targets.map(x => x.id)).size, 3);
+});
+
+test("_migrateSettings upgrades unversioned data step by step", async t => {
+    const h = await createPlugin();
+    t.after(() => h.teardown());
+
+    const out = h.plugin._migrateSettings({ host: " 192.168.1.5 ", port: 42071, xsoverlayEnabled: false, timeoutMs: 3000 });
+    assert.equal(out.settingsVersion, XSOverlayNotifier.SETTINGS_VERSION);
+    assert.equal(out.timeoutMs, 3000);
+    assert.deepEqual(out.targets, [{ ...XSOverlayNotifier.newTarget(), id: "xsoverlay", host: "192.168.1.5", port: 42071, enabled: false }]);
+    assert.equal("host" in out, false);
+
+    // data that already has targets keeps them
+    const kept = h.plugin._migrateSettings({ settingsVersion: 1, targets: [], host: "ignored" });
+    assert.deepEqual(kept.targets, []);
+    assert.deepEqual(h.plugin._migrateSettings(null), { settingsVersion: XSOverlayNotifier.SETTINGS_VERSION, targets: [{ ...XSOverlayNotifier.newTarget(), id: "xsoverlay" }] });
+});
+
+test("_importSettings rejects unreadable input and leaves settings alone", async t => {
+    const h = await createPlugin();
+    t.after(() => h.teardown());
+    h.plugin.settings.timeoutMs = 4321;
+
+    assert.throws(() => h.plugin._importSettings("{not json"), /Not valid JSON/);
+    assert.throws(() => h.plugin._importSettings("[1, 2]"), /Expected a JSON object/);
+    assert.throws(() => h.plugin._importSettings("null"), /Expected a JSON object/);
+    assert.equal(h.plugin.settings.timeoutMs, 4321);
+});
+
+test("export then import round-trips settings and profiles, keeping machine-local keys", async t => {
+    const h = await createPlugin();
+    t.after(() => h.teardown());
+    h.plugin.settings.timeoutMs = 9000;
+    h.plugin.settings.actionToken = "local-secret";
+    h.plugin._saveProfile("night");
+    const exported = h.plugin._exportSettings();
+    assert.doesNotMatch(exported, /local-secret/);
+
+    h.plugin.settings.timeoutMs = 1000;
+    h.plugin._profiles = {};
+    const problems = h.plugin._importSettings(exported);
+
+    assert.deepEqual(problems, []);
+    assert.equal(h.plugin.settings.timeoutMs, 9000);
+    assert.equal(h.plugin.settings.actionToken, "local-secret");
+    assert.deepEqual(Object.keys(h.plugin._profiles), ["night"]);
+});
+
+test("a bare settings object is imported with repairs reported", async t => {
+    const h = await createPlugin();
+    t.after(() => h.teardown());
+
+    const problems = h.plugin._importSettings(JSON.stringify({ settingsVersion: 2, timeoutMs: 999999, notifyGuildMessages: true }));
+    assert.equal(h.plugin.settings.timeoutMs, 60000);
+    assert.equal(h.plugin.settings.notifyGuildMessages, true);
+    assert.equal(h.plugin.settings.notifyDMs, true);
+    assert.deepEqual(problems, ["timeoutMs: 999999 clamped to 60000"]);
+});
@@ -0,0 +1,128 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { XSOverlayNotifier, createPlugin, waitUntil } = require("./helpers/harness");
+
+// speechSynthesis stand-in: utterances finish when the test says so
+function installSpeech(t) {
+    const speech = {
+        spoken: [],
+        current: null,
+        getVoices: () => [{ voiceURI: "v-en", name: "English", lang: "en-US" }],
+        speak(u) { speech.spoken.push(u.text); speech.current = u; },
+        cancel() { speech.current = null; },
+        finish() { const u = speech.current; speech.current = null; u?.onend?.(); }
+    };
+    global.speechSynthesis = speech;
+    global.SpeechSynthesisUtterance = class { constructor(text) { this.text = text; } };
+    t.after(() => { delete global.speechSynthesis; delete global.SpeechSynthesisUtterance; });
+    return speech;
+}
+
+test("chosen priorities are read one at a time, without the chime", async t => {
+    const speech = installSpeech(t);
+    const h = await createPlugin({ settings: { ttsEnabled: true, ttsVoice: "v-en", notifyGuildMessages: true } });
+    t.after(() => h.teardown());
+
+    await h.send("10", "first");
+    await h.send("20", "chatter", { author: "222" });
+    await h.send("10", "second");
+    const notes = await h.server.waitFor(3);
+
+    assert.deepEqual(speech.spoken, ["Alice: first"]);
+    assert.equal(speech.current.voice.voiceURI, "v-en");
+    speech.finish();
+    assert.deepEqual(speech.spoken, ["Alice: first", "Alice: second"]);
+    assert.deepEqual(notes.map(n => [n.content, n.audioPath]).sort(), [
+        ["Direct Message — first", ""], ["Direct Message — second", ""], ["Guild · #general — chatter", "default"]
+    ]);
+});
+
+test("readouts over the per-minute limit are skipped, the toast is not", async t => {
+    const speech = installSpeech(t);
+    const h = await createPlugin({ settings: { ttsEnabled: true, ttsPerMinute: 2 } });
+    t.after(() => h.teardown());
+
+    for (const text of ["a", "b", "c"]) {
+        await h.send("10", text);
+        await h.drain();
+        speech.finish();
+    }
+    await h.server.waitFor(3);
+    assert.deepEqual(speech.spoken, ["Alice: a", "Alice: b"]);
+});
+
+test("rules force readouts on or off, quiet hours and privacy are honored", async t => {
+    const speech = installSpeech(t);
+    const h = await createPlugin({ settings: { ttsEnabled: true } });
+    t.after(() => h.teardown());
+    h.plugin.settings.rules = [
+        { ...XSOverlayNotifier.newRule(), authorId: "222", channelId: "20", tts: "on" },
+        { ...XSOverlayNotifier.newRule(), channelId: "11", tts: "off" }
+    ];
+
+    const sendAndSpeak = async (...args) => {
+        await h.send(...args);
+        await h.drain();
+        speech.finish();
+    };
+    await sendAndSpeak("20", "ops chatter", { author: "222" });
+    await sendAndSpeak("11", "group ping");
+
+    h.plugin.settings.privacyMode = "sender";
+    await sendAndSpeak("10", "secret plans");
+
+    h.plugin.settings.snoozeUntil = Date.now() + 60000;
+    await sendAndSpeak("10", "while snoozed");
+    assert.deepEqual(speech.spoken, ["Bob: ops chatter", "New DM from Alice"]);
+});
+
+test("a merged burst is read once", async t => {
+    const speech = installSpeech(t);
+    const h = await createPlugin({ settings: { ttsEnabled: true, coalesceWindowMs: 20 } });
+    t.after(() => h.teardown());
+
+    for (const text of ["one", "two", "three", "four"]) await h.send("10", text);
+    await h.server.waitFor(1);
+    await h.drain();
+    assert.deepEqual(speech.spoken, ["4 messages. Alice: four"]);
+});
+
+test("toasts that are dropped, queued or pulled are not read", async t => {
+    const speech = installSpeech(t);
+    const h = await createPlugin({ settings: { ttsEnabled: true, headsetIdleMode: "drop", minIntervalMs: 50 } });
+    t.after(() => h.teardown());
+
+    h.server.push("UpdateDeviceInformation", [{ type: "hmd", userPresent: false }]);
+    await waitUntil(() => h.xso.idle());
+    await h.send("10", "nobody is wearing it");
+    await h.drain();
+    assert.equal(h.plugin.history.at(-1).outcome, "dropped");
+
+    h.server.push("UpdateDeviceInformation", [{ type: "hmd", userPresent: true }]);
+    await waitUntil(() => !h.xso.idle());
+    await h.send("10", "shown");
+    const deleted = h.message("10", "deleted while waiting");
+    await h.dispatcher.dispatch({ type: "MESSAGE_CREATE", message: deleted });
+    await h.dispatcher.dispatch({ type: "MESSAGE_DELETE", id: deleted.id, channelId: "10" });
+    await h.drain();
+    speech.finish();
+
+    h.server.refuse = true;
+    h.server.drop();
+    await waitUntil(() => !h.xso.connected);
+    h.plugin.settings.queueWhileDisconnected = true;
+    await h.send("10", "queued for later");
+    await h.drain();
+    assert.equal(h.plugin.history.at(-1).outcome, "queued");
+
+    assert.deepEqual(speech.spoken, ["Alice: shown"]);
+});
+
+test("long text is cut at a word boundary and links are not spelled out", async t => {
+    const h = await createPlugin({ settings: { ttsMaxChars: 30 } });
+    t.after(() => h.teardown());
+
+    assert.equal(h.plugin._ttsShorten("see https://example.com/a/very/long/path ok"), "see link ok");
+    assert.equal(h.plugin._ttsShorten("the quick brown fox jumps over the lazy dog"), "the quick brown fox jumps over…");
+});
@@ -0,0 +1,147 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { XSOverlayNotifier, createPlugin, waitUntil } = require("./helpers/harness");
+const { FakeXSOverlay } = require("./helpers/fake-xsoverlay");
+
+function stream(t, opts = {}) {
+    const server = new FakeXSOverlay({ port: 42081 });
+    Object.assign(server, opts);
+    t.after(() => server.close());
+    return server;
+}
+
+// Adds a second target on 42081 next to the default one and waits for it to connect
+async function withTwoTargets(h, second = {}, wait = true) {
+    h.plugin.settings.targets = h.plugin.settings.targets.concat([
+        { ...XSOverlayNotifier.newTarget(), id: "stream", name: "Stream PC", port: 42081, ...second }
+    ]);
+    h.plugin._syncTargets();
+    h.plugin._connect();
+    const t = h.plugin.transports.find(x => x.id === "stream");
+    if (wait) await waitUntil(() => t.connected);
+    return t;
+}
+
+test("version 1 settings move host/port into the first target", async t => {
+    const old = new FakeXSOverlay({ port: 42090 });
+    t.after(() => old.close());
+    const h = await createPlugin({ saved: { settings: { settingsVersion: 1, host: "127.0.0.1", port: 42090, clientName: "Rig" } } });
+    t.after(() => h.teardown());
+
+    assert.deepEqual(h.plugin.settings.targets, [{ ...XSOverlayNotifier.newTarget(), id: "xsoverlay", port: 42090 }]);
+    assert.equal("host" in h.plugin.settings, false);
+    assert.equal(h.bd.data.XSOverlayNotifier.settings.settingsVersion, 2);
+    await waitUntil(() => h.xso.connected);
+    assert.equal(h.xso.url(), "ws://127.0.0.1:42090/?client=Rig");
+});
+
+test("each target gets every toast its filter allows, with its own client name", async t => {
+    const second = stream(t);
+    const h = await createPlugin();
+    t.after(() => h.teardown());
+    await withTwoTargets(h, { filter: "dm", clientName: "StreamBox" });
+
+    await h.send("10", "dm");
+    await h.send("20", "<@100> mention", { author: "222" });
+    await h.drain();
+
+    assert.deepEqual(h.server.notifications().map(n => n.content), ["Direct Message — dm", "Guild · #general — @me mention"]);
+    assert.deepEqual(second.notifications().map(n => n.content), ["Direct Message — dm"]);
+    assert.equal(second.commands("SendNotification").at(-1).sender, "StreamBox");
+});
+
+test("targets queue and back off independently", async t => {
+    const second = stream(t, { refuse: true });
+    const h = await createPlugin({ settings: { queueWhileDisconnected: true, clearQueueOnDisconnect: false } });
+    t.after(() => h.teardown());
+    const streamer = await withTwoTargets(h, {}, false);
+    await waitUntil(() => second.refused > 0);
+
+    await h.send("10", "while stream PC is off");
+    await h.drain();
+    assert.equal(h.server.notifications().length, 1);
+    assert.equal(streamer.queue.length, 1);
+    assert.equal(h.xso.diagnostics().retries, 0);
+    assert.equal(streamer.diagnostics().retries, 1);
+
+    second.refuse = false;
+    streamer.connect(true);
+    const [note] = await second.waitFor(1);
+    assert.equal(note.content, "Direct Message — while stream PC is off");
+});
+
+test("Send Test goes to one target; removing a target closes it", async t => {
+    const second = stream(t);
+    const h = await createPlugin();
+    t.after(() => h.teardown());
+    const streamer = await withTwoTargets(h);
+
+    assert.equal(h.plugin._sendTest("stream"), "sent");
+    const tests = server => server.notifications({ hello: true }).filter(n => n.content.startsWith("Test from Discord"));
+    assert.deepEqual(tests(second).map(n => n.content), ["Test from Discord → XSOverlay · Stream PC"]);
+    assert.equal(tests(h.server).length, 0);
+
+    h.plugin.settings.targets = h.plugin.settings.targets.filter(x => x.id !== "stream");
+    h.plugin._syncTargets();
+    await waitUntil(() => second.sockets.size === 0);
+    assert.equal(streamer.connected, false);
+    assert.deepEqual(h.plugin.transports.map(x => x.id), ["xsoverlay", "ovrt", "http"]);
+});
+
+test("edited targets are normalized before they are saved", async t => {
+    const h = await createPlugin();
+    t.after(() => h.teardown());
+
+    const [a, b, c] = h.plugin._normalizeTargets([
+        { id: "a", host: "  10.0.0.9 ", port: "-5", filter: "dm" },
+        { id: "a", host: "", port: "" },
+        { id: "c", port: "70000", filter: "nope", enabled: "yes" }
+    ]);
+    assert.deepEqual([a.id, a.host, a.port, a.filter], ["a", "10.0.0.9", 1, "dm"]);
+    assert.notEqual(b.id, "a");
+    assert.deepEqual([b.host, b.port], ["127.0.0.1", 42070]);
+    assert.deepEqual([c.port, c.filter, c.enabled], [65535, "all", true]);
+});
+
+test("the HTTP output takes every toast alongside the filtered targets", async t => {
+    const fetch = t.mock.method(global, "fetch", async () => ({ ok: true, status: 200 }));
+    const h = await createPlugin({ settings: { httpEnabled: true, httpUrl: "https://hooks.example/toast" } });
+    t.after(() => h.teardown());
+
+    await h.send("10", "to both");
+    await h.server.waitFor(1);
+    await waitUntil(() => fetch.mock.callCount() === 1);
+    assert.match(fetch.mock.calls[0].arguments[1].body, /to both/);
+});
+
+test("delete follow-ups and quiet-hours digests respect a target's filter", async t => {
+    const second = stream(t);
+    const h = await createPlugin({ settings: { notifyDeletes: true, quietSuppressedTo: "digest" } });
+    t.after(() => h.teardown());
+    await withTwoTargets(h, { filter: "dm" });
+    const titles = server => server.notifications().map(n => n.title);
+
+    for (const [channelId, content, author] of [["20", "<@100> deploy?", "222"], ["10", "you there?", "111"]]) {
+        const message = h.message(channelId, content, { author });
+        await h.dispatcher.dispatch({ type: "MESSAGE_CREATE", message });
+        await h.drain();
+        await h.dispatcher.dispatch({ type: "MESSAGE_DELETE", id: message.id, channelId });
+        await h.drain();
+    }
+    assert.deepEqual(titles(h.server).filter(x => /deleted/.test(x)), ["Bob deleted a message", "Alice deleted a message"]);
+    assert.deepEqual(titles(second).filter(x => /deleted/.test(x)), ["Alice deleted a message"]);
+
+    const night = { ...XSOverlayNotifier.newSchedule(), always: true };
+    const quietly = async sends => {
+        h.plugin.settings.schedules = [night];
+        for (const [channelId, content, author] of sends) await h.send(channelId, content, { author });
+        h.plugin.settings.schedules = [];
+        h.plugin._quietTick();
+        await h.drain();
+    };
+    await quietly([["20", "<@100> guild only", "222"]]);
+    await quietly([["20", "<@100> again", "222"], ["10", "and a DM", "111"]]);
+    assert.deepEqual(titles(h.server).filter(x => /quiet/.test(x)), ["1 while quiet", "2 while quiet"]);
+    assert.deepEqual(titles(second).filter(x => /quiet/.test(x)), ["2 while quiet"]);
+});
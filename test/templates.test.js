@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { XSOverlayNotifier, createPlugin } = require("./helpers/harness");
+
+const render = XSOverlayNotifier.renderTemplate;
+
+test("renderTemplate: placeholders and chained filters", () => {
+    const vars = { nick: "Alice", guild: "", content: "hello there world", trigger: "" };
+    assert.equal(render("{nick|upper}: {content|truncate:8}", vars), "ALICE: hello t…");
+    assert.equal(render("{guild|default:DM}", vars), "DM");
+    assert.equal(render("{nick}{trigger|prefix: · }", vars), "Alice");
+    assert.equal(render("{nick}{trigger|prefix: · }", { ...vars, trigger: "@Ops" }), "Alice · @Ops");
+    assert.equal(render("{nick|lower|suffix:!}", vars), "alice!");
+});
+
+test("renderTemplate: unknown placeholders and filters are left as typed", () => {
+    assert.equal(render("{nope} {nick|shout}", { nick: "Alice" }), "{nope} {nick|shout}");
+});
+
+test("the default template reproduces the built-in layout", async t => {
+    const h = await createPlugin({ settings: { templatesEnabled: true } });
+    t.after(() => h.teardown());
+
+    await h.send("10", "hi");
+    await h.send("20", "<@100> deploy?", { author: "222" });
+    const notes = await h.server.waitFor(2);
+    assert.deepEqual(notes.map(n => [n.title, n.content]), [["Alice", "Direct Message — hi"], ["Bob", "Guild · #general — @me deploy?"]]);
+});
+
+test("DMs, group DMs and server messages use their own templates", async t => {
+    const h = await createPlugin({ settings: { templatesEnabled: true, notifyGuildMessages: true } });
+    t.after(() => h.teardown());
+    h.plugin.settings.templates = {
+        dm: { title: "DM · {author}", body: "{content}" },
+        group: { title: "{channel}", body: "{nick}: {content}" },
+        guild: { title: "{guild|upper} {channel|prefix:#}", body: "{nick}: {content|truncate:6}{attachments|prefix: +}" }
+    };
+
+    await h.send("10", "hi");
+    await h.send("11", "lobby up");
+    await h.send("20", "long message", { author: "222", attachments: [{}, {}] });
+    const notes = await h.server.waitFor(3);
+    assert.deepEqual(notes.map(n => [n.title, n.content]), [
+        ["DM · Alice", "hi"],
+        ["Squad", "Alice: lobby up"],
+        ["GUILD #general", "Bob: long … +2 attachments"]
+    ]);
+});
+
+test("the panel preview renders each kind's sample message", async t => {
+    const h = await createPlugin();
+    t.after(() => h.teardown());
+    h.plugin.settings.templates.guild = { title: "{nick} in {guild}", body: "{trigger} {content|truncate:10}" };
+
+    assert.deepEqual(h.plugin._previewTemplate("guild"), { title: "Carol (mod) in My Server", content: "@Ops Heads up:…" });
+    assert.equal(h.plugin._previewTemplate("dm").title, "Alice");
+});
@@ -0,0 +1,244 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createPlugin, settle, waitUntil } = require("./helpers/harness");
+const { FakeXSOverlay } = require("./helpers/fake-xsoverlay");
+
+const QUEUE = { queueWhileDisconnected: true, clearQueueOnDisconnect: false };
+
+test("reconnect backs off 1s, 2s, 4s… up to 15s and resets after a successful connect", async t => {
+    t.mock.timers.enable({ apis: ["setTimeout"] });
+    t.mock.method(Math, "random", () => 0); // no jitter
+    const h = await createPlugin({ refuse: true });
+    t.after(() => h.teardown());
+
+    await settle();
+    assert.equal(h.server.refused, 1);
+    for (const [wait, attempts] of [[1000, 2], [2000, 3], [4000, 4], [8000, 5], [15000, 6], [15000, 7]]) {
+        t.mock.timers.tick(wait - 1);
+        await settle();
+        assert.equal(h.server.refused, attempts - 1, `no retry before ${wait}ms`);
+        t.mock.timers.tick(1);
+        await settle();
+        assert.equal(h.server.refused, attempts, `retry after ${wait}ms`);
+    }
+
+    h.server.refuse = false;
+    t.mock.timers.tick(15000);
+    await settle();
+    assert.equal(h.xso.connected, true);
+
+    h.server.drop();
+    await settle();
+    assert.equal(h.xso.connected, false);
+    t.mock.timers.tick(1000);
+    await settle();
+    assert.equal(h.xso.connected, true);
+    assert.equal(h.server.connections, 2);
+});
+
+test("every connect says hello and subscribes to XSOverlay's API events", async t => {
+    const h = await createPlugin();
+    t.after(() => h.teardown());
+
+    await h.drain();
+    assert.equal(h.server.notifications({ hello: true })[0].content, "Discord overlay online");
+    assert.deepEqual(JSON.parse(h.server.commands("SubscribeToApiEvents")[0].jsonData), ["UpdateDeviceInformation", "UpdateRuntimeInformation", "SendNotification"]);
+    assert.equal(h.xso.health.hmdActive, true);
+});
+
+test("toasts are dropped while disconnected unless queueing is on", async t => {
+    const h = await createPlugin({ refuse: true });
+    t.after(() => h.teardown());
+
+    await h.send("10", "lost");
+    await h.drain();
+    assert.equal(h.xso.queue.length, 0);
+    assert.equal(h.plugin.history.at(-1).outcome, "dropped");
+});
+
+test("queued toasts replay one by one in priority order after reconnecting", async t => {
+    const h = await createPlugin({ refuse: true, settings: QUEUE });
+    t.after(() => h.teardown());
+
+    await h.send("20", "mention <@100>", { author: "222" });
+    await h.send("10", "dm 1");
+    await h.send("10", "dm 2");
+    await h.drain();
+    assert.equal(h.xso.queue.length, 3);
+    assert.equal(h.plugin.history.at(-1).outcome, "queued");
+
+    h.server.refuse = false;
+    h.xso.connect(true);
+    const notes = await h.server.waitFor(3);
+    assert.deepEqual(notes.map(n => n.content), ["Direct Message — dm 1", "Direct Message — dm 2", "Guild · #general — mention @me"]);
+    assert.equal(h.xso.queue.length, 0);
+});
+
+test("digest replay sends one summary toast", async t => {
+    const h = await createPlugin({ refuse: true, settings: { ...QUEUE, replayMode: "digest" } });
+    t.after(() => h.teardown());
+
+    await h.send("10", "a");
+    await h.send("10", "b");
+    await h.send("20", "<@100> c", { author: "222" });
+    await h.drain();
+
+    h.server.refuse = false;
+    h.xso.connect(true);
+    const [digest] = await h.server.waitFor(1);
+    assert.equal(digest.title, "3 missed");
+    assert.equal(digest.content, "2 DMs from Alice\n1 mention in #general");
+});
+
+test("a full queue evicts the lowest priority first and expired entries are discarded", async t => {
+    const h = await createPlugin({ refuse: true, settings: { ...QUEUE, maxQueue: 2 } });
+    t.after(() => h.teardown());
+
+    await h.send("20", "<@100> low", { author: "222" });
+    await h.drain();
+    await h.send("10", "one");
+    await h.send("10", "two");
+    await h.drain();
+    assert.deepEqual(h.xso.queue.map(q => q.summary.kind), ["dm", "dm"]);
+
+    // ranks below everything queued are turned away rather than evicting a DM
+    await h.send("20", "<@100> lower", { author: "222" });
+    await h.drain();
+    assert.deepEqual(h.xso.queue.map(q => q.summary.kind), ["dm", "dm"]);
+    assert.equal(h.plugin.history.at(-1).outcome, "dropped");
+
+    // a DM outranks the queued mention, which is evicted: logged, counted and marked in history
+    assert.deepEqual(h.plugin.history.map(e => e.outcome), ["dropped", "queued", "queued", "dropped"]);
+    assert.equal(h.plugin.history[0].reason, "queue full");
+    assert.equal(h.plugin.metrics.dropped, 2);
+    assert.ok(h.logs.some(line => /Queue full: dropped a queued mention toast from Bob/.test(line)));
+
+    h.xso.queue[0].ts -= 2 * 60 * 60000; // older than queueTtlMinutes (60)
+    h.server.refuse = false;
+    h.xso.connect(true);
+    const notes = await h.server.waitFor(1);
+    await h.drain();
+    assert.deepEqual(notes.map(n => n.content), ["Direct Message — two"]);
+});
+
+test("clearQueueOnDisconnect wipes toasts held for an idle headset when the overlay drops", async t => {
+    const h = await createPlugin({ settings: { queueWhileDisconnected: true, clearQueueOnDisconnect: true } });
+    t.after(() => h.teardown());
+
+    h.server.push("UpdateDeviceInformation", [{ type: "hmd", userPresent: false }]);
+    await waitUntil(() => h.xso.idle());
+    await h.send("10", "held");
+    await h.drain();
+    assert.equal(h.xso.queue.length, 1);
+    assert.equal(h.server.notifications().length, 0);
+
+    h.server.drop();
+    await h.drain();
+    assert.equal(h.xso.queue.length, 0);
+});
+
+test("held toasts are delivered once the headset is worn again", async t => {
+    const h = await createPlugin();
+    t.after(() => h.teardown());
+
+    h.server.push("UpdateDeviceInformation", [{ type: "hmd", userPresent: false }]);
+    await waitUntil(() => h.xso.idle());
+    await h.send("10", "later");
+    await h.drain();
+    assert.equal(h.server.notifications().length, 0);
+
+    h.server.push("UpdateDeviceInformation", [{ type: "hmd", userPresent: true }]);
+    const [note] = await h.server.waitFor(1);
+    assert.equal(note.content, "Direct Message — later");
+});
+
+test("the queue survives a restart and replays on the next connect", async t => {
+    const first = await createPlugin({ refuse: true, settings: QUEUE });
+    await first.send("10", "before restart");
+    await first.drain();
+    first.teardown();
+    const saved = first.bd.data.XSOverlayNotifier;
+    assert.equal(saved.queue.xsoverlay.length, 1);
+
+    const second = await createPlugin({ saved, settings: QUEUE });
+    t.after(() => second.teardown());
+    const [note] = await second.server.waitFor(1);
+    assert.equal(note.content, "Direct Message — before restart");
+});
+
+const HTTP = { httpEnabled: true, httpUrl: "https://hooks.example/toast", queueWhileDisconnected: false };
+const reply = status => ({ ok: status < 400, status });
+
+test("OVR Toolkit gets each toast as a SendNotification json payload", async t => {
+    const ovrt = new FakeXSOverlay({ port: 11450 });
+    t.after(() => ovrt.close());
+    const h = await createPlugin({ settings: { ovrtEnabled: true } });
+    t.after(() => h.teardown());
+    h.plugin._connect();
+    const transport = h.plugin.transports.find(x => x.id === "ovrt");
+    await waitUntil(() => transport.connected);
+
+    await h.send("10", "hello over there");
+    const toasts = () => ovrt.envelopes.filter(e => e.messageType === "SendNotification").map(e => JSON.parse(e.json));
+    await waitUntil(() => toasts().length === 2);
+    const [hello, toast] = toasts();
+    assert.equal(hello.title, "BetterDiscord");
+    assert.match(toast.body, /hello over there/);
+    assert.equal(toast.icon, "");
+    assert.match(toast.title, /Alice/);
+});
+
+test("HTTP posts the template and counts the toast only once the endpoint answered", async t => {
+    let answer;
+    const fetch = t.mock.method(global, "fetch", () => new Promise(resolve => { answer = resolve; }));
+    const h = await createPlugin({ refuse: true, settings: HTTP });
+    t.after(() => h.teardown());
+
+    await h.send("10", "first");
+    await waitUntil(() => fetch.mock.callCount() === 1);
+    const [url, init] = fetch.mock.calls[0].arguments;
+    assert.equal(url, HTTP.httpUrl);
+    assert.match(JSON.parse(init.body).content, /first/);
+    assert.equal(h.plugin.history.length, 0, "nothing recorded while the post is in flight");
+
+    answer(reply(500));
+    await waitUntil(() => h.plugin.history.length === 1);
+    assert.equal(h.plugin.history[0].outcome, "dropped");
+
+    await h.send("10", "second");
+    await waitUntil(() => fetch.mock.callCount() === 2);
+    answer(reply(204));
+    await waitUntil(() => h.plugin.history.length === 2);
+    assert.equal(h.plugin.history[1].outcome, "sent");
+    assert.equal(h.plugin.metrics.sent, 1);
+    assert.equal(h.plugin.metrics.dropped, 1);
+});
+
+test("HTTP replay stops posting once the transport is disconnected", async t => {
+    let failing = true, release;
+    const fetch = t.mock.method(global, "fetch", () => failing
+        ? Promise.resolve(reply(503))
+        : new Promise(resolve => { release = () => resolve(reply(200)); }));
+    const h = await createPlugin({ refuse: true, settings: { ...HTTP, ...QUEUE } });
+    t.after(() => h.teardown());
+    const http = h.plugin.transports.find(x => x.id === "http");
+
+    for (const text of ["one", "two", "three"]) await h.send("10", text);
+    await h.drain();
+    await waitUntil(() => http.queue.length === 3);
+
+    failing = false;
+    clearTimeout(http._retryTimer);
+    http._retryTimer = null;
+    http.flushQueue();
+    await waitUntil(() => release);
+    const posted = fetch.mock.callCount();
+
+    http.disconnect(true, true);
+    release();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.equal(fetch.mock.callCount(), posted, "no post after disconnect");
+    assert.equal(http.queue.length, 2);
+    assert.equal(http._retryTimer, null);
+});